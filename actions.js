@@ -0,0 +1,151 @@
+import { config } from './config.js';
+import { createError } from './errors.js';
+
+// Logging utilities that respect config settings and include timestamps
+const debugLog = (...args) => {
+  if (config.logging.debug) {
+    console.log(`[${new Date().toISOString()}]`, ...args);
+  }
+};
+
+/**
+ * Page actions - a declarative script run between navigation and reading the page:
+ * waiting for elements, scrolling lazy-loaded content into view, clicking "read more"
+ * expanders, typing and evaluating scripts. Requests can only evaluate scripts that
+ * are configured by name in config.actions.scripts, never their own code.
+ */
+
+export const ACTION_TYPES = ['waitForSelector', 'waitForTimeout', 'scrollToBottom', 'click', 'type', 'press', 'evaluate'];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Runs one action; resolves to what the step reports back
+const handlers = {
+  waitForSelector: async (page, { selector, visible = false }, timeout, driver) => {
+    await driver.waitForSelector(page, selector, { visible, timeout });
+    return { found: true };
+  },
+
+  waitForTimeout: async (page, { ms }) => {
+    await sleep(ms);
+    return { waited: ms };
+  },
+
+  // Scroll until the page stops growing or the scroll limit is reached
+  scrollToBottom: async (page, { maxScrolls = config.actions.defaultScrolls, delay = config.actions.scrollDelay }) => {
+    let height = await page.evaluate(() => document.body.scrollHeight);
+    let scrolls = 0;
+    while (scrolls < maxScrolls) {
+      await page.evaluate(() => window.scrollTo(0, document.body.scrollHeight));
+      scrolls++;
+      await sleep(delay);
+      const newHeight = await page.evaluate(() => document.body.scrollHeight);
+      if (newHeight === height) {
+        break;
+      }
+      height = newHeight;
+    }
+    return { scrolls, height };
+  },
+
+  click: async (page, { selector, all = false }, timeout, driver) => {
+    await driver.waitForSelector(page, selector, { visible: true, timeout });
+    if (!all) {
+      await page.click(selector);
+      return { clicked: 1 };
+    }
+    // Every matching expander, e.g. all "show replies" buttons
+    const elements = await page.$$(selector);
+    let clicked = 0;
+    for (const element of elements) {
+      try {
+        await element.click();
+        clicked++;
+      } catch (error) {
+        debugLog(`Skipping unclickable ${selector}: ${error.message}`);
+      } finally {
+        await element.dispose();
+      }
+    }
+    return { clicked };
+  },
+
+  type: async (page, { selector, text, delay = 0 }, timeout, driver) => {
+    await driver.waitForSelector(page, selector, { visible: true, timeout });
+    await page.type(selector, text, { delay });
+    return { typed: text.length };
+  },
+
+  press: async (page, { key, selector }, timeout, driver) => {
+    if (selector) {
+      await driver.waitForSelector(page, selector, { visible: true, timeout });
+      await page.focus(selector);
+    }
+    await page.keyboard.press(key);
+    return { pressed: key };
+  },
+
+  evaluate: async (page, { script }) => {
+    const value = await page.evaluate(config.actions.scripts[script]);
+    // Only report what survives JSON, and not too much of it
+    const json = JSON.stringify(value ?? null);
+    return { value: json.length <= config.actions.maxResultLength ? JSON.parse(json) : `${json.slice(0, config.actions.maxResultLength)}…` };
+  }
+};
+
+// Time a step may take: waits are bounded by their duration, and a scroll without its
+// own timeout gets its pauses on top of the default
+const stepBudget = (action, timeout) => {
+  if (action.type === 'waitForTimeout') {
+    return action.ms + 1000;
+  }
+  if (action.type === 'scrollToBottom' && action.timeout === undefined) {
+    const { maxScrolls = config.actions.defaultScrolls, delay = config.actions.scrollDelay } = action;
+    return timeout + maxScrolls * delay;
+  }
+  return timeout;
+};
+
+const withTimeout = (promise, timeoutMs, name) => {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(`${name} timeout after ${timeoutMs}ms`)), timeoutMs);
+    })
+  ]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * Run the request's actions in order. A failing step fails the crawl unless it is
+ * marked `optional`; either way every step's outcome is reported.
+ * @param {Page} page - Page after navigation
+ * @param {Array<Object>} actions - Validated actions from the request
+ * @param {Object} driver - Browser driver of the page
+ * @returns {Promise<Array<Object>>} Per step: { type, ok, duration_ms, result?, error? }
+ * @throws {Error} ACTION_FAILED with the step reports as `actions`
+ */
+export async function runActions(page, actions, driver) {
+  const reports = [];
+
+  for (const [index, action] of actions.entries()) {
+    const timeout = action.timeout ?? config.actions.defaultTimeout;
+    const started = Date.now();
+    try {
+      const result = await withTimeout(handlers[action.type](page, action, timeout, driver), stepBudget(action, timeout), action.type);
+      reports.push({ type: action.type, ok: true, duration_ms: Date.now() - started, result });
+      debugLog(`Action ${index + 1} ${action.type} done`);
+    } catch (error) {
+      reports.push({ type: action.type, ok: false, duration_ms: Date.now() - started, error: error.message });
+      debugLog(`Action ${index + 1} ${action.type} failed: ${error.message}`);
+      if (!action.optional) {
+        throw createError('ACTION_FAILED', `Action ${index + 1} (${action.type}) failed: ${error.message}`, {
+          statusCode: 422,
+          actions: reports
+        });
+      }
+    }
+  }
+
+  return reports;
+}
@@ -0,0 +1,159 @@
+import path from 'path';
+import crypto from 'crypto';
+import { promises as fs, createReadStream } from 'fs';
+import { KnownDevices } from 'puppeteer';
+import { config } from './config.js';
+
+// Logging utilities that respect config settings and include timestamps
+const debugLog = (...args) => {
+  if (config.logging.debug) {
+    console.log(`[${new Date().toISOString()}]`, ...args);
+  }
+};
+
+/**
+ * Artifacts - screenshots and PDFs of the rendered page. Files are written to
+ * config.artifacts.dir and served by GET /artifacts/:name until they expire;
+ * synchronous crawls can get them inlined as base64 instead.
+ */
+
+export const DEVICE_NAMES = Object.keys(KnownDevices);
+export const SCREENSHOT_TYPES = ['png', 'jpeg'];
+export const PDF_FORMATS = ['A3', 'A4', 'A5', 'Legal', 'Letter', 'Tabloid'];
+
+const CONTENT_TYPES = { png: 'image/png', jpeg: 'image/jpeg', pdf: 'application/pdf' };
+
+// Generated names only, so a request can never point outside the artifacts directory
+const ARTIFACT_NAME = /^[0-9a-f-]{36}\.(png|jpeg|pdf)$/;
+
+const retentionMs = () => config.artifacts.retentionHours * 60 * 60 * 1000;
+
+// Remove expired artifacts once an hour
+setInterval(async () => {
+  try {
+    const cutoff = Date.now() - retentionMs();
+    for (const name of await fs.readdir(config.artifacts.dir)) {
+      const file = path.join(config.artifacts.dir, name);
+      const stats = await fs.stat(file);
+      if (stats.mtimeMs < cutoff) {
+        await fs.unlink(file);
+      }
+    }
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn(`[${new Date().toISOString()}] Warning: Artifact cleanup failed: ${error.message}`);
+    }
+  }
+}, 60 * 60 * 1000).unref();
+
+/**
+ * User agent and viewport for the request's device and/or viewport, for any driver
+ * @param {Object} emulation - { device, viewport } from the request
+ * @param {Object} options
+ * @param {boolean} options.capturing - Use the default capture viewport when none is given
+ * @returns {Object} { userAgent, viewport } - either may be null
+ */
+export function resolveEmulation(emulation = {}, { capturing = false } = {}) {
+  const device = emulation.device ? KnownDevices[emulation.device] : null;
+  const viewport = emulation.viewport || (!device && capturing ? config.artifacts.defaultViewport : null);
+  return {
+    userAgent: device?.userAgent || null,
+    // A viewport on top of a device only overrides the given dimensions
+    viewport: device || viewport ? { ...device?.viewport, ...viewport } : null
+  };
+}
+
+/**
+ * Apply device emulation and/or a viewport to a Puppeteer page before navigation
+ * @param {Page} page - Puppeteer page
+ * @param {Object} emulation - { device, viewport } from the request
+ * @param {Object} options
+ * @param {boolean} options.capturing - Use the default capture viewport when none is given
+ */
+export async function applyEmulation(page, emulation = {}, options = {}) {
+  const { userAgent, viewport } = resolveEmulation(emulation, options);
+  if (userAgent) {
+    await page.setUserAgent(userAgent);
+    debugLog(`Emulating ${emulation.device}`);
+  }
+  if (viewport) {
+    await page.setViewport(viewport);
+  }
+}
+
+// Write an artifact to disk (or inline it) and describe it
+const storeArtifact = async (buffer, type, inline) => {
+  const artifact = { type, content_type: CONTENT_TYPES[type], bytes: buffer.length };
+  if (inline) {
+    return { ...artifact, data: buffer.toString('base64') };
+  }
+
+  const name = `${crypto.randomUUID()}.${type}`;
+  await fs.mkdir(config.artifacts.dir, { recursive: true });
+  await fs.writeFile(path.join(config.artifacts.dir, name), buffer);
+  return {
+    ...artifact,
+    url: `/artifacts/${name}`,
+    expires_at: new Date(Date.now() + retentionMs()).toISOString()
+  };
+};
+
+/**
+ * Capture the requested artifacts of the rendered page
+ * @param {Page} page - Page after navigation (PDFs need a driver that can print)
+ * @param {Object} capture - { screenshot, pdf } from the request (true or settings objects)
+ * @param {Object} options
+ * @param {boolean} options.inline - Return base64 data instead of writing files
+ * @returns {Promise<Object>} { screenshot?, pdf? } artifact descriptions
+ */
+export async function captureArtifacts(page, capture, { inline = false } = {}) {
+  const artifacts = {};
+
+  if (capture.screenshot) {
+    const settings = capture.screenshot === true ? {} : capture.screenshot;
+    const type = settings.type || 'png';
+    const buffer = Buffer.from(await page.screenshot({
+      type,
+      fullPage: settings.fullPage ?? true,
+      ...(type === 'jpeg' && { quality: settings.quality ?? 80 })
+    }));
+    artifacts.screenshot = await storeArtifact(buffer, type, inline);
+    debugLog(`Screenshot captured (${buffer.length} bytes)`);
+  }
+
+  if (capture.pdf) {
+    const settings = capture.pdf === true ? {} : capture.pdf;
+    const buffer = Buffer.from(await page.pdf({
+      format: settings.format || 'A4',
+      landscape: settings.landscape ?? false,
+      printBackground: true
+    }));
+    artifacts.pdf = await storeArtifact(buffer, 'pdf', inline);
+    debugLog(`PDF captured (${buffer.length} bytes)`);
+  }
+
+  return artifacts;
+}
+
+/**
+ * Open a stored artifact for streaming
+ * @param {string} name - Artifact file name from its URL
+ * @returns {Promise<Object|null>} { stream, contentType, size }, or null if it does not exist
+ */
+export async function openArtifact(name) {
+  const match = ARTIFACT_NAME.exec(name);
+  if (!match) {
+    return null;
+  }
+
+  const file = path.join(config.artifacts.dir, name);
+  try {
+    const stats = await fs.stat(file);
+    return { stream: createReadStream(file), contentType: CONTENT_TYPES[match[1]], size: stats.size };
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
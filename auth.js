@@ -0,0 +1,226 @@
+import { createHash } from 'crypto';
+import { promises as fs } from 'fs';
+import { config } from './config.js';
+import { createFileStore } from './store.js';
+
+// Logging utilities that respect config settings and include timestamps
+const debugLog = (...args) => {
+  if (config.logging.debug) {
+    console.log(`[${new Date().toISOString()}]`, ...args);
+  }
+};
+
+const requestLog = (...args) => {
+  if (config.logging.logRequests) {
+    console.log(`[${new Date().toISOString()}]`, ...args);
+  }
+};
+
+/**
+ * API key authentication - keys come from config (API_KEYS) and/or a JSON keys file.
+ * Every key gets a token-bucket rate limit and a daily quota; usage is persisted per key.
+ *
+ * Routes opt out with `config: { auth: false }` or make a key optional with
+ * `config: { auth: 'optional' }`. Authentication is disabled when no keys are configured.
+ */
+
+const usageStore = createFileStore('usage');
+
+// Keys indexed by the SHA-256 of the secret so lookups never compare raw secrets
+const keysByHash = new Map();
+const buckets = new Map();
+const usage = new Map();
+const dirtyUsage = new Set();
+
+const hashKey = (key) => createHash('sha256').update(key).digest('hex');
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+const secondsUntilMidnightUtc = () => {
+  const now = new Date();
+  const midnight = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+  return Math.ceil((midnight - now.getTime()) / 1000);
+};
+
+// Merge key definitions from config and the optional keys file
+const loadKeyDefinitions = async () => {
+  const definitions = [...config.auth.keys];
+
+  if (config.auth.keysFile) {
+    const raw = JSON.parse(await fs.readFile(config.auth.keysFile, 'utf8'));
+    const fileKeys = Array.isArray(raw) ? raw : raw.keys || [];
+    definitions.push(...fileKeys);
+  }
+
+  return definitions.filter(definition => definition && definition.key);
+};
+
+/**
+ * Load API keys and persisted usage. Must run before the server starts listening.
+ */
+export async function startAuth() {
+  const definitions = await loadKeyDefinitions();
+
+  for (const [index, definition] of definitions.entries()) {
+    const id = definition.id || `key-${index + 1}`;
+    keysByHash.set(hashKey(definition.key), {
+      id,
+      admin: definition.admin === true,
+      rateLimit: { ...config.auth.rateLimit, ...definition.rateLimit },
+      dailyQuota: definition.dailyQuota ?? config.auth.dailyQuota
+    });
+  }
+
+  for (const record of await usageStore.list()) {
+    usage.set(record.key_id, record);
+  }
+
+  setInterval(() => {
+    flushUsage().catch(() => {});
+  }, config.auth.usageFlushInterval).unref();
+
+  if (keysByHash.size === 0) {
+    console.warn(`[${new Date().toISOString()}] Warning: No API keys configured, authentication is disabled`);
+  } else {
+    requestLog(`API authentication enabled (${keysByHash.size} key(s))`);
+  }
+}
+
+/**
+ * Persist usage counters that changed since the last flush
+ */
+export async function flushUsage() {
+  for (const keyId of [...dirtyUsage]) {
+    dirtyUsage.delete(keyId);
+    try {
+      await usageStore.save(keyId, usage.get(keyId));
+    } catch (error) {
+      dirtyUsage.add(keyId);
+      debugLog(`Failed to persist usage for ${keyId}: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Whether API keys are required at all
+ * @returns {boolean}
+ */
+export function isAuthEnabled() {
+  return keysByHash.size > 0;
+}
+
+// Read the key from `Authorization: Bearer <key>` or `X-API-Key`
+const extractKey = (request) => {
+  const authorization = request.headers.authorization;
+  if (authorization && authorization.startsWith('Bearer ')) {
+    return authorization.slice(7).trim();
+  }
+  return request.headers['x-api-key'] || null;
+};
+
+// Take one token from the key's bucket; returns seconds to wait when empty
+const takeToken = (apiKey) => {
+  const { capacity, refillPerSecond } = apiKey.rateLimit;
+  const now = Date.now();
+  const bucket = buckets.get(apiKey.id) || { tokens: capacity, updatedAt: now };
+
+  bucket.tokens = Math.min(capacity, bucket.tokens + ((now - bucket.updatedAt) / 1000) * refillPerSecond);
+  bucket.updatedAt = now;
+  buckets.set(apiKey.id, bucket);
+
+  if (bucket.tokens < 1) {
+    return Math.ceil((1 - bucket.tokens) / refillPerSecond);
+  }
+  bucket.tokens -= 1;
+  return 0;
+};
+
+const getUsage = (keyId) => {
+  let record = usage.get(keyId);
+  if (!record) {
+    record = { key_id: keyId, day: today(), day_requests: 0, total_requests: 0, rejected_requests: 0, last_used_at: null, routes: {} };
+    usage.set(keyId, record);
+  }
+  if (record.day !== today()) {
+    record.day = today();
+    record.day_requests = 0;
+  }
+  return record;
+};
+
+const recordUsage = (keyId, route, accepted) => {
+  const record = getUsage(keyId);
+  if (accepted) {
+    record.day_requests += 1;
+    record.total_requests += 1;
+    record.routes[route] = (record.routes[route] || 0) + 1;
+  } else {
+    record.rejected_requests += 1;
+  }
+  record.last_used_at = new Date().toISOString();
+  dirtyUsage.add(keyId);
+};
+
+/**
+ * Usage record of a key
+ * @param {string} keyId - API key id
+ * @returns {Object} Usage counters including the remaining daily quota
+ */
+export function getKeyUsage(keyId) {
+  const record = getUsage(keyId);
+  const apiKey = [...keysByHash.values()].find(key => key.id === keyId);
+  return {
+    ...record,
+    daily_quota: apiKey ? apiKey.dailyQuota : null,
+    quota_remaining: apiKey ? Math.max(0, apiKey.dailyQuota - record.day_requests) : null
+  };
+}
+
+const reject = (reply, statusCode, code, message, retryAfter) => {
+  if (retryAfter) {
+    reply.header('Retry-After', String(retryAfter));
+  }
+  return reply.status(statusCode).send({ error: message, code });
+};
+
+/**
+ * Install the authentication hook on a Fastify instance
+ * @param {Object} fastify - Fastify instance
+ */
+export function registerAuth(fastify) {
+  fastify.decorateRequest('apiKey', null);
+
+  fastify.addHook('onRequest', async (request, reply) => {
+    const mode = request.routeOptions?.config?.auth ?? 'required';
+    if (mode === false || !isAuthEnabled()) {
+      return;
+    }
+
+    const key = extractKey(request);
+    const apiKey = key ? keysByHash.get(hashKey(key)) : null;
+
+    if (!apiKey) {
+      if (mode === 'optional' && !key) {
+        return;
+      }
+      return reject(reply, 401, 'UNAUTHORIZED', 'A valid API key is required');
+    }
+
+    // Requests that match no route share one bucket, so arbitrary paths cannot grow the usage record
+    const route = `${request.method} ${request.routeOptions?.url || '(unmatched)'}`;
+
+    if (getUsage(apiKey.id).day_requests >= apiKey.dailyQuota) {
+      recordUsage(apiKey.id, route, false);
+      return reject(reply, 429, 'QUOTA_EXCEEDED', 'Daily quota exceeded', secondsUntilMidnightUtc());
+    }
+
+    const waitSeconds = takeToken(apiKey);
+    if (waitSeconds > 0) {
+      recordUsage(apiKey.id, route, false);
+      return reject(reply, 429, 'RATE_LIMITED', 'Rate limit exceeded', waitSeconds);
+    }
+
+    recordUsage(apiKey.id, route, true);
+    request.apiKey = { id: apiKey.id, admin: apiKey.admin };
+  });
+}
@@ -0,0 +1,232 @@
+import { config } from './config.js';
+import { crawlUrl } from './crawler.js';
+import { deliverCallback } from './callback.js';
+import { saveJob } from './job-queue.js';
+import { createFileStore } from './store.js';
+import { assertUrlAllowed } from './url-policy.js';
+import { isPlainObject, validateCrawlOptions } from './crawl-options.js';
+
+// Logging utilities that respect config settings and include timestamps
+const debugLog = (...args) => {
+  if (config.logging.debug) {
+    console.log(`[${new Date().toISOString()}]`, ...args);
+  }
+};
+
+const requestLog = (...args) => {
+  if (config.logging.logRequests) {
+    console.log(`[${new Date().toISOString()}]`, ...args);
+  }
+};
+
+/**
+ * Batch Crawling - runs many URLs through the crawl pipeline as one job with
+ * bounded concurrency, tracks per-URL progress on the job record and sends a
+ * single summary callback once every URL has finished.
+ *
+ * Per-URL results are kept in their own store, so progress updates stay small and a
+ * batch interrupted by a restart resumes where it stopped. The summary callback links
+ * to them instead of inlining up to maxUrls full results; they are kept until the job
+ * expires.
+ */
+
+const results = createFileStore('batch-results');
+
+const resultId = (batchId, index) => `${batchId}-${index}`;
+
+const resultUrl = (batchId, index) => `/batches/${batchId}/results/${index}`;
+
+/**
+ * Validate a POST /crawl-batch body
+ * @param {Object} body - Request body
+ * @returns {Promise<Object>} { payload } for enqueueJob, or { error, invalid } describing bad input
+ */
+export async function parseBatchRequest(body) {
+  const { urls, callback_url, test = false, options = {}, concurrency } = body || {};
+
+  if (!Array.isArray(urls) || urls.length === 0) {
+    return { error: 'urls is required and must be a non-empty array' };
+  }
+  if (urls.length > config.batch.maxUrls) {
+    return { error: `A batch can contain at most ${config.batch.maxUrls} URLs` };
+  }
+  if (!test && (!callback_url || typeof callback_url !== 'string')) {
+    return { error: 'callback_url is required when test is false' };
+  }
+  const optionsError = validateCrawlOptions(options);
+  if (optionsError) {
+    return { error: optionsError };
+  }
+  if (concurrency !== undefined && (!Number.isInteger(concurrency) || concurrency < 1)) {
+    return { error: 'concurrency must be a positive integer' };
+  }
+
+  // Items are either a URL string or { url, options } with per-URL option overrides
+  const items = [];
+  const invalid = [];
+  for (const [index, entry] of urls.entries()) {
+    const item = typeof entry === 'string' ? { url: entry, options: {} } : entry;
+    if (!isPlainObject(item) || !item.url || typeof item.url !== 'string') {
+      invalid.push({ index, error: 'must be a URL string or an object with a url string' });
+      continue;
+    }
+    const itemOptionsError = validateCrawlOptions(item.options);
+    if (itemOptionsError) {
+      invalid.push({ index, error: itemOptionsError });
+      continue;
+    }
+    try {
+      await assertUrlAllowed(item.url, { kind: 'target' });
+    } catch (error) {
+      invalid.push({ index, error: error.message });
+      continue;
+    }
+    items.push({ url: item.url, options: { ...options, ...item.options } });
+  }
+
+  if (invalid.length > 0) {
+    return { error: 'Some batch entries are invalid', invalid };
+  }
+
+  if (!test) {
+    try {
+      await assertUrlAllowed(callback_url, { kind: 'callback' });
+    } catch (error) {
+      return { error: error.message };
+    }
+  }
+
+  return {
+    payload: {
+      items,
+      callback_url,
+      test,
+      concurrency: Math.min(concurrency || config.batch.concurrency, config.batch.maxConcurrency)
+    }
+  };
+}
+
+const countProgress = (items) => ({
+  total: items.length,
+  succeeded: items.filter(item => item.state === 'succeeded').length,
+  failed: items.filter(item => item.state === 'failed').length,
+  pending: items.filter(item => item.state === 'queued' || item.state === 'running').length
+});
+
+/**
+ * Job handler for 'batch' jobs
+ * @param {Object} job - Batch job record (payload from parseBatchRequest)
+ * @returns {Promise<Object>} Summary stored as the job result
+ */
+export async function processBatch(job) {
+  const { items, callback_url, test, concurrency, owner = null } = job.payload;
+
+  // Fresh batch, or resume one interrupted by a restart (finished items are kept)
+  if (!job.items) {
+    job.items = items.map(item => ({
+      url: item.url,
+      state: 'queued',
+      started_at: null,
+      finished_at: null,
+      error: null,
+      title: null
+    }));
+  }
+  job.items.forEach(item => {
+    if (item.state === 'running') {
+      item.state = 'queued';
+    }
+  });
+  job.progress = countProgress(job.items);
+  await saveJob(job);
+
+  requestLog(`Batch ${job.id}: ${job.progress.pending} of ${items.length} URL(s) to crawl with concurrency ${concurrency}`);
+
+  const queue = job.items
+    .map((item, index) => index)
+    .filter(index => job.items[index].state === 'queued');
+
+  const worker = async () => {
+    while (queue.length > 0) {
+      const index = queue.shift();
+      const item = job.items[index];
+
+      item.state = 'running';
+      item.started_at = new Date().toISOString();
+
+      try {
+        const result = await crawlUrl(item.url, { ...items[index].options, owner, background: true });
+        await results.save(resultId(job.id, index), result);
+        item.state = 'succeeded';
+        item.title = result.title;
+      } catch (error) {
+        item.state = 'failed';
+        item.error = { message: error.message, code: error.code || null };
+        debugLog(`Batch ${job.id}: ${item.url} failed: ${error.message}`);
+      }
+
+      item.finished_at = new Date().toISOString();
+      job.progress = countProgress(job.items);
+      await saveJob(job);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, queue.length) }, worker));
+
+  const summary = {
+    batch_id: job.id,
+    ...job.progress,
+    created_at: job.created_at,
+    finished_at: new Date().toISOString(),
+    items: []
+  };
+  for (const [index, item] of job.items.entries()) {
+    summary.items.push({
+      url: item.url,
+      state: item.state,
+      error: item.error,
+      result_url: item.state === 'succeeded' ? resultUrl(job.id, index) : null
+    });
+  }
+
+  requestLog(`Batch ${job.id} finished: ${summary.succeeded} succeeded, ${summary.failed} failed`);
+
+  if (test) {
+    if (config.logging.debug) {
+      console.log(JSON.stringify(summary, null, 2));
+    }
+    return { total: summary.total, succeeded: summary.succeeded, failed: summary.failed };
+  }
+
+  const delivery = await deliverCallback(callback_url, summary, { job_id: job.id, owner });
+  return {
+    total: summary.total,
+    succeeded: summary.succeeded,
+    failed: summary.failed,
+    callback_status: delivery.status,
+    callback_attempts: delivery.attempts
+  };
+}
+
+/**
+ * Stored result of one batch URL
+ * @param {Object} job - Batch job record
+ * @param {number} index - Position of the URL in the batch
+ * @returns {Promise<Object|null>} The crawl result, or null if the URL has not succeeded
+ */
+export async function getBatchResult(job, index) {
+  if (job.items?.[index]?.state !== 'succeeded') {
+    return null;
+  }
+  return results.load(resultId(job.id, index));
+}
+
+/**
+ * Remove stored per-URL results (called when the job expires)
+ * @param {Object} job - Batch job record
+ */
+export async function cleanupBatch(job) {
+  for (const index of job.payload.items.keys()) {
+    await results.remove(resultId(job.id, index));
+  }
+}
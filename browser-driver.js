@@ -0,0 +1,68 @@
+import { config } from './config.js';
+import * as puppeteerDriver from './browser.js';
+import * as camoufoxDriver from './camoufox-browser.js';
+
+/**
+ * Browser drivers - the crawl pipeline reaches the browser only through a driver, so
+ * a crawl can run in Chromium (puppeteer) or in Camoufox (Firefox through Playwright).
+ * config.browser.driver picks the default, options.driver a crawl's own. Each driver
+ * keeps its own persistent browser; all of them share one page pool.
+ *
+ * A driver module exports:
+ *   name, capabilities         - { pdf }
+ *   getBrowser()               - persistent browser, (re)launched as needed
+ *   createPage(browser, opts)  - page in its own context with the request's navigation,
+ *                                emulation, proxy and session applied (see browser.js)
+ *   closePage(page)
+ *   guardRequests(page, isAllowed), blockAds(page)
+ *   goto(page, url, { waitUntil }), describeResponse(response)
+ *   waitForSelector(page, selector, { visible, timeout }), cookies(page)
+ *   shutdownBrowser(), getBrowserStats(), warmUp()
+ * Everything else the pipeline does with a page (evaluate, content, url, $$eval,
+ * click, type, focus, keyboard, screenshot, close) is common to both APIs.
+ */
+
+const drivers = {
+  [puppeteerDriver.name]: puppeteerDriver,
+  [camoufoxDriver.name]: camoufoxDriver
+};
+
+export const DRIVER_NAMES = Object.keys(drivers);
+
+/**
+ * Driver by name
+ * @param {string} name - Driver name, defaults to config.browser.driver
+ * @returns {Object} Driver module
+ * @throws {Error} For an unknown driver
+ */
+export function driverFor(name = config.browser.driver) {
+  const driver = drivers[name];
+  if (!driver) {
+    throw new Error(`Unknown browser driver ${name} (expected one of: ${DRIVER_NAMES.join(', ')})`);
+  }
+  return driver;
+}
+
+/**
+ * Close every driver's browser
+ */
+export async function shutdownBrowsers() {
+  await Promise.all(Object.values(drivers).map(driver => driver.shutdownBrowser()));
+}
+
+/**
+ * Per-driver browser state for /health
+ * @returns {Object} { name: { initialized, requestCount, ageMinutes } }
+ */
+export function getDriverStats() {
+  return Object.fromEntries(Object.values(drivers).map(driver => {
+    const stats = driver.getBrowserStats();
+    return [driver.name, { initialized: stats.isInitialized, requestCount: stats.requestCount, ageMinutes: stats.ageMinutes }];
+  }));
+}
+
+// Launch the default driver's browser on startup for a faster first request (not in
+// tests; an unknown default driver is reported by the server's startup check)
+if (process.env.NODE_ENV !== 'test' && drivers[config.browser.driver]) {
+  drivers[config.browser.driver].warmUp();
+}
@@ -0,0 +1,226 @@
+import { config } from './config.js';
+import { createError } from './errors.js';
+
+/**
+ * Browser pool - the page concurrency pool shared by every browser driver, and the
+ * lifecycle of each driver's persistent browser (lazy launch, restart after
+ * config.browser.maxAge or maxRequests, slot cleanup when the browser dies).
+ */
+
+// Page concurrency pool: active slot count and FIFO wait queue
+let activePages = 0;
+const pageWaiters = [];
+
+// Helper function for logging
+const log = (message) => {
+  if (config.logging.logRequests) {
+    console.log(`[${new Date().toISOString()}] ${message}`);
+  }
+};
+
+// Wait for a free page slot. Background callers always queue; others are bounded by
+// maxQueue (429 right away when the wait queue is full) and queueTimeout (503 when no
+// slot freed up in time), both with Retry-After.
+const acquirePageSlot = (background) => {
+  const { maxConcurrent, maxQueue, queueTimeout, retryAfter } = config.browser.pagePool;
+
+  if (activePages < maxConcurrent) {
+    activePages++;
+    return Promise.resolve();
+  }
+
+  if (!background && pageWaiters.filter(w => !w.background).length >= maxQueue) {
+    return Promise.reject(createError('POOL_SATURATED', 'Browser page pool is saturated, try again later', {
+      statusCode: 429,
+      retryAfter
+    }));
+  }
+
+  return new Promise((resolve, reject) => {
+    const waiter = { resolve, reject, background, timer: null };
+    if (!background) {
+      waiter.timer = setTimeout(() => {
+        pageWaiters.splice(pageWaiters.indexOf(waiter), 1);
+        reject(createError('POOL_TIMEOUT', `No browser page became available within ${queueTimeout}ms`, {
+          statusCode: 503,
+          retryAfter
+        }));
+      }, queueTimeout);
+    }
+    pageWaiters.push(waiter);
+  });
+};
+
+// Hand the slot to the next waiter, or free it
+const releasePageSlot = () => {
+  const next = pageWaiters.shift();
+  if (next) {
+    clearTimeout(next.timer);
+    next.resolve();
+  } else {
+    activePages--;
+  }
+};
+
+/**
+ * Persistent browser of one driver
+ * @param {string} name - Driver name, for logs
+ * @param {Object} hooks
+ * @param {Function} hooks.launch - async () => browser
+ * @param {Function} hooks.isConnected - (browser) => boolean
+ * @returns {Object} { getBrowser, acquirePage, shutdownBrowser, getBrowserStats, warmUp }
+ */
+export function createBrowserManager(name, { launch, isConnected }) {
+  let globalBrowser = null;
+  let browserLaunchTime = null;
+  let requestCount = 0;
+  let browserInitPromise = null;
+
+  // Release hooks of open pages, so a dead browser's slots can be freed
+  const openPageReleases = new Set();
+
+  const initBrowser = async () => {
+    if (globalBrowser) {
+      try {
+        await globalBrowser.close();
+      } catch (error) {
+        log(`Error closing old ${name} browser: ${error.message}`);
+      }
+    }
+
+    log(`Launching new ${name} browser instance...`);
+    log(`Browser mode: ${config.browser.headless ? 'headless' : 'visible (non-headless)'}`);
+
+    globalBrowser = await launch();
+    browserLaunchTime = Date.now();
+    requestCount = 0;
+
+    // Handle browser disconnect
+    const browser = globalBrowser;
+    browser.on('disconnected', () => {
+      log(`${name} browser disconnected, will reinitialize on next request`);
+      if (globalBrowser === browser) {
+        globalBrowser = null;
+      }
+      // Pages of a dead browser never emit 'close', so free their slots here
+      for (const release of [...openPageReleases]) {
+        if (release.browser === browser) {
+          release();
+        }
+      }
+    });
+
+    log(`${name} browser initialized successfully`);
+  };
+
+  // Get or create browser instance
+  const getBrowser = async () => {
+    const now = Date.now();
+    const browserAge = browserLaunchTime ? now - browserLaunchTime : Infinity;
+
+    // Check if we need to restart the browser
+    if (!globalBrowser ||
+        browserAge > config.browser.maxAge ||
+        requestCount >= config.browser.maxRequests) {
+
+      if (browserAge > config.browser.maxAge) {
+        log(`Browser restart: max age reached (${Math.round(browserAge / 1000 / 60)} minutes)`);
+      } else if (requestCount >= config.browser.maxRequests) {
+        log(`Browser restart: max requests reached (${requestCount})`);
+      }
+
+      // If another request is already initializing, wait for it
+      if (browserInitPromise) {
+        await browserInitPromise;
+      } else {
+        // Start initialization and store the promise
+        browserInitPromise = initBrowser().finally(() => {
+          browserInitPromise = null;
+        });
+        await browserInitPromise;
+      }
+    }
+
+    requestCount++;
+    return globalBrowser;
+  };
+
+  // Take a page slot for a browser; resolves to the browser to open the page in (it
+  // may have been restarted while waiting) and the slot's release function
+  const acquirePage = async (browser, background) => {
+    await acquirePageSlot(background);
+
+    if (!isConnected(browser) && globalBrowser !== browser) {
+      try {
+        browser = await getBrowser();
+      } catch (error) {
+        releasePageSlot();
+        throw error;
+      }
+    }
+
+    let released = false;
+    const release = () => {
+      if (released) return;
+      released = true;
+      openPageReleases.delete(release);
+      releasePageSlot();
+    };
+    release.browser = browser;
+    openPageReleases.add(release);
+
+    return { browser, release };
+  };
+
+  // Graceful shutdown (browser only)
+  const shutdownBrowser = async () => {
+    if (globalBrowser) {
+      log(`Shutting down ${name} browser gracefully...`);
+      try {
+        await globalBrowser.close();
+        log(`${name} browser closed successfully`);
+      } catch (error) {
+        log(`Error closing ${name} browser: ${error.message}`);
+      }
+      globalBrowser = null;
+    }
+  };
+
+  // Get current browser stats
+  const getBrowserStats = () => {
+    const age = browserLaunchTime ? Date.now() - browserLaunchTime : 0;
+
+    return {
+      isInitialized: !!globalBrowser,
+      requestCount,
+      ageMinutes: Math.round(age / 1000 / 60),
+      ageMs: age,
+      maxAgeMs: config.browser.maxAge,
+      maxRequests: config.browser.maxRequests,
+      pagePool: {
+        active: activePages,
+        queued: pageWaiters.length,
+        maxConcurrent: config.browser.pagePool.maxConcurrent,
+        maxQueue: config.browser.pagePool.maxQueue
+      }
+    };
+  };
+
+  // Launch ahead of the first request
+  const warmUp = async () => {
+    if (globalBrowser || browserInitPromise) {
+      return;
+    }
+    browserInitPromise = initBrowser().finally(() => {
+      browserInitPromise = null;
+    });
+    try {
+      await browserInitPromise;
+      log(`${name} browser pre-initialized on startup`);
+    } catch (error) {
+      log(`Failed to pre-initialize ${name} browser: ${error.message}`);
+    }
+  };
+
+  return { getBrowser, acquirePage, shutdownBrowser, getBrowserStats, warmUp };
+}
@@ -1,17 +1,25 @@
 import puppeteer from 'puppeteer-extra';
 import StealthPlugin from 'puppeteer-extra-plugin-stealth';
+import { PuppeteerBlocker } from '@ghostery/adblocker-puppeteer';
 import { config } from './config.js';
 import { initializeExtensions } from './extension-manager.js';
+import { createBrowserManager } from './browser-pool.js';
+import { applyEmulation } from './artifacts.js';
+import { liveCookies, restoreLocalStorage } from './sessions.js';
+import { proxiedFetch } from './proxy.js';
+
+/**
+ * Puppeteer driver - Chromium through puppeteer-extra with the stealth plugin, the
+ * configured extensions and the Ghostery adblocker. Implements the driver interface
+ * described in browser-driver.js.
+ */
+
+export const name = 'puppeteer';
+export const capabilities = { pdf: true };
 
 // Use stealth plugin to avoid detection
 puppeteer.use(StealthPlugin());
 
-// Global browser instance management
-let globalBrowser = null;
-let browserLaunchTime = null;
-let requestCount = 0;
-let browserInitPromise = null;
-
 // Helper function for logging
 const log = (message) => {
   if (config.logging.logRequests) {
@@ -19,18 +27,14 @@ const log = (message) => {
   }
 };
 
-// Initialize browser
-const initBrowser = async () => {
-  if (globalBrowser) {
-    try {
-      await globalBrowser.close();
-    } catch (error) {
-      log(`Error closing old browser: ${error.message}`);
-    }
+const debugLog = (...args) => {
+  if (config.logging.debug) {
+    console.log(`[${new Date().toISOString()}]`, ...args);
   }
+};
 
-  log('Launching new browser instance...');
-  
+// Launch Chromium with the configured extensions
+const launch = async () => {
   // Initialize extensions and get Chrome arguments
   let extensionArgs = [];
   try {
@@ -53,113 +57,230 @@ const initBrowser = async () => {
     args: allArgs
   };
   
-  log(`Browser mode: ${config.browser.headless ? 'headless' : 'visible (non-headless)'}`);
   if (extensionArgs.length > 0) {
     log(`Loading extensions with ${extensionArgs.length} Chrome arguments`);
   }
   
-  globalBrowser = await puppeteer.launch(launchOptions);
-  browserLaunchTime = Date.now();
-  requestCount = 0;
-  
-  // Handle browser disconnect
-  globalBrowser.on('disconnected', () => {
-    log('Browser disconnected, will reinitialize on next request');
-    globalBrowser = null;
-  });
-  
-  log('Browser initialized successfully');
+  return puppeteer.launch(launchOptions);
 };
 
-// Get or create browser instance
-export const getBrowser = async () => {
-  const now = Date.now();
-  const browserAge = browserLaunchTime ? now - browserLaunchTime : Infinity;
-  
-  // Check if we need to restart the browser
-  if (!globalBrowser || 
-      browserAge > config.browser.maxAge || 
-      requestCount >= config.browser.maxRequests) {
-    
-    if (browserAge > config.browser.maxAge) {
-      log(`Browser restart: max age reached (${Math.round(browserAge / 1000 / 60)} minutes)`);
-    } else if (requestCount >= config.browser.maxRequests) {
-      log(`Browser restart: max requests reached (${requestCount})`);
-    }
-    
-    // If another request is already initializing, wait for it
-    if (browserInitPromise) {
-      await browserInitPromise;
-    } else {
-      // Start initialization and store the promise
-      browserInitPromise = initBrowser().finally(() => {
-        browserInitPromise = null;
-      });
-      await browserInitPromise;
-    }
-  }
-  
-  requestCount++;
-  return globalBrowser;
+const browsers = createBrowserManager(name, { launch, isConnected: (browser) => browser.connected });
+
+export const { getBrowser, shutdownBrowser, getBrowserStats, warmUp } = browsers;
+
+// Request cookies of pages in the shared default context, removed again by closePage
+const sharedCookies = new WeakMap();
+
+// Browser context of each isolated page, closed by closePage
+const pageContexts = new WeakMap();
+
+// Accept-Language for an emulated locale, e.g. "de-DE,de;q=0.9"
+const acceptLanguageFor = (locale) => {
+  const language = locale.split('-')[0];
+  return language === locale ? locale : `${locale},${language};q=0.9`;
 };
 
-// Get current browser stats
-export const getBrowserStats = () => {
-  const now = Date.now();
-  const age = browserLaunchTime ? now - browserLaunchTime : 0;
-  
-  return {
-    isInitialized: !!globalBrowser,
-    requestCount,
-    ageMinutes: Math.round(age / 1000 / 60),
-    ageMs: age,
-    maxAgeMs: config.browser.maxAge,
-    maxRequests: config.browser.maxRequests
+// Cookies without a domain belong to the crawled URL
+const requestCookies = (cookies, url) => cookies.map(cookie => cookie.domain ? cookie : { ...cookie, url });
+
+// Apply the request's navigation and emulation settings before the page navigates
+const applyPageOptions = async (page, { url, navigation, emulation, capturing }) => {
+  page.setDefaultNavigationTimeout(navigation.timeout ?? config.page.navigationTimeout);
+
+  if (emulation.device || emulation.viewport || capturing) {
+    await applyEmulation(page, emulation, { capturing });
+  }
+  if (emulation.userAgent) {
+    await page.setUserAgent(emulation.userAgent);
+  }
+  if (emulation.locale) {
+    // navigator.language and Intl; the header is set with the others below
+    const session = await page.createCDPSession();
+    await session.send('Emulation.setLocaleOverride', { locale: emulation.locale });
+  }
+  if (emulation.timezone) {
+    await page.emulateTimezone(emulation.timezone);
+  }
+  if (emulation.geolocation) {
+    await page.browserContext().overridePermissions(new URL(url).origin, ['geolocation']);
+    await page.setGeolocation(emulation.geolocation);
+  }
+
+  // Request headers win over the locale's Accept-Language
+  const headers = {
+    ...(emulation.locale && { 'Accept-Language': acceptLanguageFor(emulation.locale) }),
+    ...navigation.headers
   };
+  if (Object.keys(headers).length > 0) {
+    await page.setExtraHTTPHeaders(headers);
+  }
+  if (navigation.cookies?.length) {
+    await page.setCookie(...requestCookies(navigation.cookies, url));
+  }
 };
 
-// Create a new page with common setup
-export const createPage = async (browser) => {
-  const page = await browser.newPage();
-  
-  // Set navigation timeout
-  page.setDefaultNavigationTimeout(config.page.navigationTimeout);
+/**
+ * Create a new page with common setup, in its own incognito browser context so no
+ * cookies, storage, cache or permissions carry over between crawls. Only with
+ * config.browser.isolatePages off, and without a proxy or session, the page shares the
+ * default context (where the extensions run). Takes a pool slot; the slot is returned
+ * and the context closed when the page closes.
+ * @param {Browser} browser - Browser from getBrowser
+ * @param {Object} options
+ * @param {boolean} options.background - Wait for a slot instead of failing fast when the pool is saturated
+ * @param {string} options.url - URL the page will open (cookie and permission origin)
+ * @param {Object} options.navigation - Request navigation options (timeout, headers, cookies)
+ * @param {Object} options.emulation - Request emulation options (device, viewport, userAgent, locale, timezone, geolocation)
+ * @param {boolean} options.capturing - The page will be captured, so it gets the default capture viewport
+ * @param {Object} options.proxy - Proxy from selectProxy to route the page's context through
+ * @param {Object} options.session - Session from getSession whose storage state the context starts with
+ * @returns {Promise<Page>}
+ */
+export const createPage = async (browser, { background = false, url = null, navigation = {}, emulation = {}, capturing = false, proxy = null, session = null } = {}) => {
+  const slot = await browsers.acquirePage(browser, background);
+
+  let page;
+  let context = null;
+  try {
+    // Proxies are set per context, so concurrent pages can use different ones
+    if (config.browser.isolatePages || proxy || session) {
+      context = await slot.browser.createBrowserContext(proxy ? { proxyServer: proxy.server } : {});
+      page = await context.newPage();
+      pageContexts.set(page, context);
+    } else {
+      page = await slot.browser.newPage();
+    }
+  } catch (error) {
+    await context?.close().catch(() => {});
+    slot.release();
+    throw error;
+  }
+  page.once('close', () => {
+    slot.release();
+    context?.close().catch(() => {});
+  });
   
-  // Note: Camoufox is handled in puppeteer-browser.js
-  if (config.browser.asCamoufox) {
-    log('Note: This page uses regular Puppeteer (Camoufox handled separately)');
+  try {
+    if (proxy?.username) {
+      await page.authenticate({ username: proxy.username, password: proxy.password });
+    }
+    // Session state first, so the request's own cookies win
+    if (session) {
+      const cookies = liveCookies(session);
+      if (cookies.length > 0) {
+        await context.setCookie(...cookies);
+      }
+      if (session.origins.length > 0) {
+        await page.evaluateOnNewDocument(restoreLocalStorage, session.origins);
+      }
+    }
+    await applyPageOptions(page, { url, navigation, emulation, capturing });
+    if (!context && navigation.cookies?.length) {
+      sharedCookies.set(page, requestCookies(navigation.cookies, url));
+    }
+  } catch (error) {
+    await page.close().catch(() => {});
+    throw error;
   }
   
   return page;
 };
 
-// Graceful shutdown (browser only)
-export const shutdownBrowser = async () => {
-  log('Shutting down browser gracefully...');
-  if (globalBrowser) {
+/**
+ * Close a page from createPage and its browser context, dropping everything the crawl
+ * stored in it
+ * @param {Page} page
+ */
+export const closePage = async (page) => {
+  try {
+    // The request's cookies must not stay in the shared context for later crawls
+    if (sharedCookies.has(page)) {
+      await page.deleteCookie(...sharedCookies.get(page));
+    }
+  } catch (error) {
+    debugLog(`Removing request cookies failed: ${error.message}`);
+  } finally {
     try {
-      await globalBrowser.close();
-      log('Browser closed successfully');
-    } catch (error) {
-      log(`Error closing browser: ${error.message}`);
+      // Closing releases the pool slot, whatever happened above
+      await page.close();
+    } finally {
+      await pageContexts.get(page)?.close().catch(() => {});
     }
-    globalBrowser = null;
   }
 };
 
-// Initialize browser on module load for faster first request
-const initializeOnStartup = async () => {
-  try {
-    await initBrowser();
-    log('Browser pre-initialized on startup');
-  } catch (error) {
-    log(`Failed to pre-initialize browser: ${error.message}`);
-  }
-};
+// Priority that lets a policy abort win over the adblocker's cooperative continue
+const POLICY_INTERCEPT_PRIORITY = 100;
 
-// Auto-initialize browser when module is imported (only in non-test environments)
-if (process.env.NODE_ENV !== 'test') {
-  initializeOnStartup().catch(() => {
-    // Silent catch - errors will be handled when getBrowser() is called
+/**
+ * Check every request the page makes (navigation, redirects, subresources)
+ * @param {Page} page
+ * @param {Function} isAllowed - async (url) => boolean
+ */
+export const guardRequests = async (page, isAllowed) => {
+  await page.setRequestInterception(true);
+  page.on('request', (request) => {
+    if (request.isInterceptResolutionHandled()) {
+      return;
+    }
+    request.enqueueInterceptAction(async () => {
+      if (await isAllowed(request.url())) {
+        await request.continue(request.continueRequestOverrides(), 0);
+      } else {
+        await request.abort('accessdenied', POLICY_INTERCEPT_PRIORITY);
+      }
+    });
   });
-} 
\ No newline at end of file
+};
+
+/**
+ * Block ads and trackers with the Ghostery adblocker
+ * @param {Page} page
+ */
+export const blockAds = async (page) => {
+  const blocker = await PuppeteerBlocker.fromPrebuiltAdsAndTracking(proxiedFetch);
+  await blocker.enableBlockingInPage(page);
+  debugLog('Adblocker enabled');
+};
+
+/**
+ * Navigate the page
+ * @param {Page} page
+ * @param {string} url
+ * @param {Object} options
+ * @param {string} options.waitUntil - load, domcontentloaded, networkidle0 or networkidle2
+ * @returns {Promise<HTTPResponse|null>} Main document response
+ */
+export const goto = (page, url, { waitUntil }) => page.goto(url, { waitUntil });
+
+/**
+ * Status, headers and redirect chain of a main document response
+ * @param {HTTPResponse} response
+ * @returns {Promise<Object>} { status, statusText, headers, redirects: [{ url, status, location }] }
+ */
+export const describeResponse = async (response) => ({
+  status: response.status(),
+  statusText: response.statusText(),
+  headers: response.headers(),
+  redirects: response.request().redirectChain().map(request => ({
+    url: request.url(),
+    status: request.response()?.status() ?? null,
+    location: request.response()?.headers().location ?? null
+  }))
+});
+
+/**
+ * Wait for an element
+ * @param {Page} page
+ * @param {string} selector
+ * @param {Object} options - { visible, timeout }
+ */
+export const waitForSelector = (page, selector, { visible = false, timeout }) =>
+  page.waitForSelector(selector, { visible, timeout });
+
+/**
+ * All cookies of the page's browser context
+ * @param {Page} page
+ * @returns {Promise<Array<Object>>}
+ */
+export const cookies = (page) => page.browserContext().cookies();
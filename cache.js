@@ -0,0 +1,228 @@
+import crypto from 'crypto';
+import { promises as fs } from 'fs';
+import { config } from './config.js';
+import { createFileStore } from './store.js';
+import { normalizeUrl } from './url-utils.js';
+import { policyFetch } from './url-policy.js';
+
+// Logging utilities that respect config settings and include timestamps
+const debugLog = (...args) => {
+  if (config.logging.debug) {
+    console.log(`[${new Date().toISOString()}]`, ...args);
+  }
+};
+
+/**
+ * Result Cache - stores extraction results keyed by normalized URL and the options
+ * that shape the result. Fresh entries are served without touching the origin;
+ * expired entries that carry an ETag or Last-Modified are revalidated with a
+ * conditional request and reused on 304 Not Modified.
+ */
+
+const counters = { hits: 0, revalidated: 0, misses: 0 };
+
+// JSON with sorted object keys, so option order does not change the key
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value !== null && typeof value === 'object') {
+    const entries = Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+// In-memory LRU: Map iteration order is insertion order, so re-inserting on read
+// keeps the least recently used entry first
+const createMemoryBackend = () => {
+  const entries = new Map();
+
+  return {
+    async get(key) {
+      const entry = entries.get(key);
+      if (entry) {
+        entries.delete(key);
+        entries.set(key, entry);
+      }
+      return entry || null;
+    },
+    async set(key, entry) {
+      entries.delete(key);
+      entries.set(key, entry);
+      while (entries.size > config.cache.maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+    async remove(key) {
+      entries.delete(key);
+    },
+    async size() {
+      return entries.size;
+    }
+  };
+};
+
+// One JSON file per entry under DATA_DIR/cache; entries past maxStale are swept hourly
+const createDiskBackend = () => {
+  const store = createFileStore('cache');
+
+  const sweep = async () => {
+    const now = Date.now();
+    for (const entry of await store.list()) {
+      if (entry.expires_at + config.cache.maxStale < now) {
+        await store.remove(entry.key);
+      }
+    }
+  };
+  setInterval(() => {
+    sweep().catch(error => console.warn(`[${new Date().toISOString()}] Warning: Cache sweep failed: ${error.message}`));
+  }, 60 * 60 * 1000).unref();
+
+  return {
+    get: (key) => store.load(key),
+    set: (key, entry) => store.save(key, entry),
+    remove: (key) => store.remove(key),
+    async size() {
+      try {
+        return (await fs.readdir(store.dir)).filter(file => file.endsWith('.json')).length;
+      } catch (error) {
+        return 0;
+      }
+    }
+  };
+};
+
+const backends = { memory: createMemoryBackend, disk: createDiskBackend };
+const backend = backends[config.cache.backend]?.() || null;
+
+if (!backend && config.cache.backend !== 'off') {
+  console.warn(`[${new Date().toISOString()}] Warning: Unknown cache backend "${config.cache.backend}", caching disabled`);
+}
+
+/**
+ * Whether results are cached at all
+ * @returns {boolean}
+ */
+export function isCacheEnabled() {
+  return backend !== null;
+}
+
+/**
+ * Cache key for a URL and the options that affect its result
+ * @param {string} url - Crawled URL
+ * @param {Object} options - Result-shaping options (see extractionOptions)
+ * @returns {string} Hex key
+ */
+export function cacheKey(url, options = {}) {
+  const material = stableStringify({ url: normalizeUrl(url) || url, options });
+  return crypto.createHash('sha256').update(material).digest('hex');
+}
+
+/**
+ * Look up a cached result
+ * @param {string} key - Cache key
+ * @returns {Promise<Object>} { entry, fresh } - entry is null on a miss
+ */
+export async function lookupResult(key) {
+  if (!backend) {
+    return { entry: null, fresh: false };
+  }
+
+  const entry = await backend.get(key);
+  const now = Date.now();
+  if (!entry || entry.expires_at + config.cache.maxStale < now) {
+    if (entry) {
+      await backend.remove(key);
+    }
+    return { entry: null, fresh: false };
+  }
+
+  const fresh = entry.expires_at > now;
+  if (fresh) {
+    counters.hits++;
+  }
+  return { entry, fresh };
+}
+
+/**
+ * Store a result
+ * @param {string} key - Cache key
+ * @param {string} url - Crawled URL
+ * @param {Object} result - Extraction result
+ * @param {Object} validators - { etag, lastModified } from the page response
+ * @returns {Promise<Object>} The stored entry
+ */
+export async function storeResult(key, url, result, { etag = null, lastModified = null } = {}) {
+  const now = Date.now();
+  const entry = {
+    key,
+    url,
+    result,
+    etag,
+    last_modified: lastModified,
+    stored_at: new Date(now).toISOString(),
+    expires_at: now + config.cache.ttl
+  };
+  // A failing cache write should never fail the crawl that produced the result
+  try {
+    await backend?.set(key, entry);
+  } catch (error) {
+    console.warn(`[${new Date().toISOString()}] Warning: Could not cache result for ${url}: ${error.message}`);
+  }
+  counters.misses++;
+  return entry;
+}
+
+/**
+ * Revalidate an expired entry with a conditional request
+ * @param {Object} entry - Stale cache entry
+ * @returns {Promise<boolean>} True if the origin answered 304 and the entry was renewed
+ */
+export async function revalidateEntry(entry) {
+  if (!backend || (!entry.etag && !entry.last_modified)) {
+    return false;
+  }
+
+  const headers = { 'User-Agent': config.politeness.userAgent };
+  if (entry.etag) {
+    headers['If-None-Match'] = entry.etag;
+  }
+  if (entry.last_modified) {
+    headers['If-Modified-Since'] = entry.last_modified;
+  }
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), config.cache.revalidateTimeout);
+
+  try {
+    const response = await policyFetch(entry.url, { headers, signal: controller.signal }, { kind: 'target' });
+    await response.arrayBuffer().catch(() => {});
+    if (response.status !== 304) {
+      debugLog(`Cache revalidation for ${entry.url} returned ${response.status}, re-crawling`);
+      return false;
+    }
+  } catch (error) {
+    debugLog(`Cache revalidation for ${entry.url} failed: ${error.message}`);
+    return false;
+  } finally {
+    clearTimeout(timer);
+  }
+
+  entry.expires_at = Date.now() + config.cache.ttl;
+  await backend.set(entry.key, entry);
+  counters.revalidated++;
+  return true;
+}
+
+/**
+ * Cache counters for /health (misses count results rendered and stored)
+ * @returns {Promise<Object>} { backend, entries, hits, revalidated, misses }
+ */
+export async function getCacheStats() {
+  return {
+    backend: backend ? config.cache.backend : 'off',
+    entries: backend ? await backend.size() : 0,
+    ...counters
+  };
+}
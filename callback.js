@@ -0,0 +1,203 @@
+import { randomUUID } from 'crypto';
+import { config } from './config.js';
+import { createFileStore } from './store.js';
+import { createError } from './errors.js';
+import { buildSignatureHeaders, DELIVERY_HEADER } from './webhook-signature.js';
+import { policyFetch } from './url-policy.js';
+
+// Logging utilities that respect config settings and include timestamps
+const debugLog = (...args) => {
+  if (config.logging.debug) {
+    console.log(`[${new Date().toISOString()}]`, ...args);
+  }
+};
+
+const requestLog = (...args) => {
+  if (config.logging.logRequests) {
+    console.log(`[${new Date().toISOString()}]`, ...args);
+  }
+};
+
+/**
+ * Callback Delivery - POSTs results to webhooks with retries, exponential backoff
+ * and jitter. Deliveries that exhaust their retries are kept in a dead-letter store
+ * so they can be inspected and replayed later. Each attempt is signed with a fresh
+ * timestamp; the delivery id stays the same so receivers can drop duplicates.
+ */
+
+const deadLetters = createFileStore('dead-letters');
+
+// Statuses worth retrying; any other non-2xx response is treated as permanent
+const RETRYABLE_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Exponential backoff with +/- jitter, optionally stretched by a Retry-After header
+const backoffDelay = (attempt, retryAfterHeader) => {
+  const { initialDelay, maxDelay, backoffFactor, jitter } = config.callbacks;
+  const base = Math.min(maxDelay, initialDelay * Math.pow(backoffFactor, attempt - 1));
+  const jittered = base * (1 - jitter + Math.random() * 2 * jitter);
+
+  const retryAfterSeconds = parseInt(retryAfterHeader, 10);
+  if (Number.isFinite(retryAfterSeconds)) {
+    return Math.min(maxDelay, Math.max(jittered, retryAfterSeconds * 1000));
+  }
+  return Math.round(jittered);
+};
+
+// Single signed POST with its own timeout. Redirects are checked against the URL policy.
+const attemptDelivery = async (url, body, deliveryId) => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), config.callbacks.attemptTimeout);
+
+  try {
+    const response = await policyFetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        [DELIVERY_HEADER]: deliveryId,
+        ...buildSignatureHeaders(body, deliveryId, config.callbacks.signingSecrets)
+      },
+      body,
+      signal: controller.signal
+    }, { kind: 'callback' });
+    // Drain the body so the connection can be reused
+    await response.arrayBuffer().catch(() => {});
+    return response;
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw new Error(`Callback attempt timed out after ${config.callbacks.attemptTimeout}ms`);
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+// Run the retry loop; resolves with the outcome instead of throwing
+const deliverWithRetries = async (url, body, deliveryId) => {
+  const { maxAttempts } = config.callbacks;
+  let lastError = null;
+  let lastStatus = null;
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    let retryAfter = null;
+
+    try {
+      const response = await attemptDelivery(url, body, deliveryId);
+      lastStatus = response.status;
+
+      if (response.ok) {
+        return { delivered: true, attempts: attempt, status: response.status, error: null };
+      }
+
+      lastError = `Callback request failed with status ${response.status}`;
+      retryAfter = response.headers.get('retry-after');
+      if (!RETRYABLE_STATUSES.includes(response.status)) {
+        debugLog(`Callback to ${url} returned ${response.status}, not retrying`);
+        return { delivered: false, attempts: attempt, status: lastStatus, error: lastError };
+      }
+    } catch (error) {
+      lastError = error.message;
+      lastStatus = null;
+      if (error.code === 'URL_NOT_ALLOWED') {
+        debugLog(`Callback to ${url} refused by URL policy, not retrying`);
+        return { delivered: false, attempts: attempt, status: null, error: lastError };
+      }
+    }
+
+    if (attempt < maxAttempts) {
+      const delay = backoffDelay(attempt, retryAfter);
+      requestLog(`Callback attempt ${attempt}/${maxAttempts} failed (${lastError}), retrying in ${delay}ms`);
+      await sleep(delay);
+    }
+  }
+
+  return { delivered: false, attempts: maxAttempts, status: lastStatus, error: lastError };
+};
+
+/**
+ * Deliver a payload to a callback URL, dead-lettering it when every attempt fails
+ * @param {string} url - Callback URL
+ * @param {Object} payload - JSON-serializable body
+ * @param {Object} context - Extra fields stored with a dead letter (e.g. job_id)
+ * @returns {Promise<Object>} Delivery outcome ({ delivered, attempts, status })
+ * @throws {Error} CALLBACK_FAILED once the payload has been dead-lettered
+ */
+export async function deliverCallback(url, payload, context = {}) {
+  const deliveryId = randomUUID();
+  const outcome = await deliverWithRetries(url, JSON.stringify(payload), deliveryId);
+
+  if (outcome.delivered) {
+    requestLog(`Successfully posted to callback after ${outcome.attempts} attempt(s)`);
+    return outcome;
+  }
+
+  const deadLetter = {
+    id: deliveryId,
+    callback_url: url,
+    payload,
+    ...context,
+    attempts: outcome.attempts,
+    last_status: outcome.status,
+    last_error: outcome.error,
+    created_at: new Date().toISOString(),
+    replay_count: 0,
+    last_replayed_at: null
+  };
+  await deadLetters.save(deadLetter.id, deadLetter);
+  requestLog(`Callback to ${url} dead-lettered as ${deadLetter.id}: ${outcome.error}`);
+
+  throw createError('CALLBACK_FAILED', `${outcome.error} (dead letter ${deadLetter.id})`, {
+    deadLetterId: deadLetter.id
+  });
+}
+
+/**
+ * List dead-lettered deliveries, newest first, without their payloads
+ * @returns {Promise<Array<Object>>} Dead letter summaries
+ */
+export async function listDeadLetters() {
+  const records = await deadLetters.list();
+  return records
+    .sort((a, b) => Date.parse(b.created_at) - Date.parse(a.created_at))
+    .map(({ payload, ...summary }) => summary);
+}
+
+/**
+ * Load a single dead letter including its payload
+ * @param {string} id - Dead letter id
+ * @returns {Promise<Object|null>} The dead letter
+ */
+export function getDeadLetter(id) {
+  return deadLetters.load(id);
+}
+
+/**
+ * Try to deliver a dead letter again. It is removed once delivered.
+ * @param {string} id - Dead letter id
+ * @returns {Promise<Object|null>} Outcome with the (updated) dead letter, or null if unknown
+ */
+export async function replayDeadLetter(id) {
+  const deadLetter = await deadLetters.load(id);
+  if (!deadLetter) {
+    return null;
+  }
+
+  requestLog(`Replaying dead letter ${id} to ${deadLetter.callback_url}`);
+  const outcome = await deliverWithRetries(deadLetter.callback_url, JSON.stringify(deadLetter.payload), deadLetter.id);
+
+  deadLetter.replay_count += 1;
+  deadLetter.last_replayed_at = new Date().toISOString();
+  deadLetter.last_status = outcome.status;
+  deadLetter.last_error = outcome.error;
+
+  if (outcome.delivered) {
+    await deadLetters.remove(id);
+    requestLog(`Dead letter ${id} delivered on replay`);
+  } else {
+    await deadLetters.save(id, deadLetter);
+  }
+
+  return { ...outcome, deadLetter };
+}
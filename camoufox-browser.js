@@ -0,0 +1,226 @@
+import { config } from './config.js';
+import { createBrowserManager } from './browser-pool.js';
+import { resolveEmulation } from './artifacts.js';
+import { liveCookies, restoreLocalStorage } from './sessions.js';
+
+/**
+ * Camoufox driver - Firefox with Camoufox's fingerprint spoofing, driven through
+ * Playwright. Every page gets its own Playwright context carrying the request's
+ * emulation, headers, proxy and session; ads are blocked by the uBlock Origin addon
+ * Camoufox ships with. Implements the driver interface described in browser-driver.js.
+ * The browser itself is installed with `npx camoufox fetch`.
+ */
+
+export const name = 'camoufox';
+// Playwright can only print PDFs with Chromium
+export const capabilities = { pdf: false };
+
+// Helper function for logging
+const debugLog = (...args) => {
+  if (config.logging.debug) {
+    console.log(`[${new Date().toISOString()}]`, ...args);
+  }
+};
+
+const launch = async () => {
+  // Loaded on first use, so Playwright stays out of deployments that never use it
+  const { Camoufox } = await import('camoufox');
+  return Camoufox({
+    ...config.browser.camoufox.launchOptions,
+    headless: config.browser.headless
+  });
+};
+
+const browsers = createBrowserManager(name, { launch, isConnected: (browser) => browser.isConnected() });
+
+export const { getBrowser, shutdownBrowser, getBrowserStats, warmUp } = browsers;
+
+// Puppeteer's wait conditions (used by the request options) in Playwright's terms
+const WAIT_UNTIL = {
+  load: 'load',
+  domcontentloaded: 'domcontentloaded',
+  networkidle0: 'networkidle',
+  networkidle2: 'networkidle'
+};
+
+// Cookies without a domain belong to the crawled URL's host; Playwright needs a path
+const contextCookie = (cookie, url) => ({
+  ...cookie,
+  domain: cookie.domain || new URL(url).hostname,
+  path: cookie.path || '/'
+});
+
+// Emulation, headers and proxy are context options in Playwright
+const contextOptions = ({ navigation, emulation, capturing, proxy }) => {
+  const { userAgent, viewport } = resolveEmulation(emulation, { capturing });
+  const options = {};
+
+  if (emulation.userAgent || userAgent) {
+    options.userAgent = emulation.userAgent || userAgent;
+  }
+  if (viewport) {
+    // Firefox has no mobile mode; a device's scale factor and touch support still apply
+    options.viewport = { width: viewport.width, height: viewport.height };
+    if (viewport.deviceScaleFactor) {
+      options.deviceScaleFactor = viewport.deviceScaleFactor;
+    }
+    if (viewport.hasTouch) {
+      options.hasTouch = true;
+    }
+  }
+  if (emulation.locale) {
+    // navigator.language, Intl and Accept-Language; a request header still wins
+    options.locale = emulation.locale;
+  }
+  if (emulation.timezone) {
+    options.timezoneId = emulation.timezone;
+  }
+  if (emulation.geolocation) {
+    options.geolocation = emulation.geolocation;
+    options.permissions = ['geolocation'];
+  }
+  if (navigation.headers) {
+    options.extraHTTPHeaders = navigation.headers;
+  }
+  if (proxy) {
+    options.proxy = {
+      server: proxy.server,
+      ...(proxy.username && { username: proxy.username, password: proxy.password })
+    };
+  }
+
+  return options;
+};
+
+/**
+ * Create a new page in its own Playwright context. Takes a pool slot; the slot is
+ * returned and the context closed when the page closes.
+ * @param {Browser} browser - Browser from getBrowser
+ * @param {Object} options - Same as the Puppeteer driver's createPage
+ * @returns {Promise<Page>} Playwright page
+ */
+export const createPage = async (browser, { background = false, url = null, navigation = {}, emulation = {}, capturing = false, proxy = null, session = null } = {}) => {
+  const slot = await browsers.acquirePage(browser, background);
+
+  let context;
+  let page;
+  try {
+    context = await slot.browser.newContext(contextOptions({ navigation, emulation, capturing, proxy }));
+    page = await context.newPage();
+  } catch (error) {
+    await context?.close().catch(() => {});
+    slot.release();
+    throw error;
+  }
+  page.once('close', () => {
+    slot.release();
+    context.close().catch(() => {});
+  });
+
+  try {
+    page.setDefaultNavigationTimeout(navigation.timeout ?? config.page.navigationTimeout);
+
+    // Session cookies first, so the request's own cookies win
+    const cookies = [...(session ? liveCookies(session) : []), ...(navigation.cookies || [])]
+      .map(cookie => contextCookie(cookie, url));
+    if (cookies.length > 0) {
+      await context.addCookies(cookies);
+    }
+    if (session?.origins.length) {
+      await context.addInitScript(restoreLocalStorage, session.origins);
+    }
+  } catch (error) {
+    await page.close().catch(() => {});
+    throw error;
+  }
+
+  return page;
+};
+
+/**
+ * Close a page from createPage and its context
+ * @param {Page} page
+ */
+export const closePage = async (page) => {
+  try {
+    await page.close();
+  } finally {
+    await page.context().close().catch(() => {});
+  }
+};
+
+/**
+ * Check every request the page makes (navigation, redirects, subresources)
+ * @param {Page} page
+ * @param {Function} isAllowed - async (url) => boolean
+ */
+export const guardRequests = async (page, isAllowed) => {
+  await page.route('**/*', async (route) => {
+    try {
+      if (await isAllowed(route.request().url())) {
+        await route.continue();
+      } else {
+        await route.abort('accessdenied');
+      }
+    } catch (error) {
+      // The page closed while the request was checked
+      debugLog(`Request routing failed: ${error.message}`);
+    }
+  });
+};
+
+/**
+ * Ads and trackers are already blocked by Camoufox's uBlock Origin addon
+ */
+export const blockAds = async () => {
+  debugLog('Ads blocked by Camoufox\'s uBlock Origin');
+};
+
+/**
+ * Navigate the page
+ * @param {Page} page
+ * @param {string} url
+ * @param {Object} options
+ * @param {string} options.waitUntil - load, domcontentloaded, networkidle0 or networkidle2
+ * @returns {Promise<Response|null>} Main document response
+ */
+export const goto = (page, url, { waitUntil }) => page.goto(url, { waitUntil: WAIT_UNTIL[waitUntil] });
+
+/**
+ * Status, headers and redirect chain of a main document response
+ * @param {Response} response
+ * @returns {Promise<Object>} { status, statusText, headers, redirects: [{ url, status, location }] }
+ */
+export const describeResponse = async (response) => {
+  const redirects = [];
+  for (let request = response.request().redirectedFrom(); request; request = request.redirectedFrom()) {
+    const hop = await request.response();
+    redirects.unshift({
+      url: request.url(),
+      status: hop?.status() ?? null,
+      location: hop?.headers().location ?? null
+    });
+  }
+  return {
+    status: response.status(),
+    statusText: response.statusText(),
+    headers: response.headers(),
+    redirects
+  };
+};
+
+/**
+ * Wait for an element
+ * @param {Page} page
+ * @param {string} selector
+ * @param {Object} options - { visible, timeout }
+ */
+export const waitForSelector = (page, selector, { visible = false, timeout }) =>
+  page.waitForSelector(selector, { state: visible ? 'visible' : 'attached', timeout });
+
+/**
+ * All cookies of the page's browser context
+ * @param {Page} page
+ * @returns {Promise<Array<Object>>}
+ */
+export const cookies = (page) => page.context().cookies();
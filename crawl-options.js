@@ -0,0 +1,377 @@
+import { config } from './config.js';
+import { PARSER_ENGINES, MERGE_STRATEGIES } from './parser.js';
+import { OUTPUT_FORMATS } from './formats.js';
+import { STRUCTURED_TYPES } from './structured.js';
+import { isValidSelector } from './site-rules.js';
+import { markdownPluginNames } from './markdown.js';
+import { ACTION_TYPES } from './actions.js';
+import { DEVICE_NAMES, SCREENSHOT_TYPES, PDF_FORMATS } from './artifacts.js';
+import { proxyPoolNames } from './proxy.js';
+import { SESSION_NAME } from './sessions.js';
+import { DRIVER_NAMES } from './browser-driver.js';
+
+/**
+ * Crawl options - per-request settings accepted as `options` by /crawl, /crawl-sync,
+ * /crawl-batch (per batch and per URL) and /crawl-site. They are validated before
+ * a job is queued so bad input fails fast with a 400 instead of a failed job.
+ */
+
+/**
+ * Whether a value is a plain (non-array, non-null) object
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+const isNonNegativeInteger = (value) => Number.isInteger(value) && value >= 0;
+
+// 'bypass' skips the cache entirely, 'refresh' re-crawls and stores the new result
+const CACHE_MODES = ['bypass', 'refresh'];
+
+// Options that control how a crawl runs but not what it returns
+const NON_EXTRACTION_OPTIONS = ['politeness', 'cache', 'failOnStatus'];
+
+// Checks the fields of an option object: unknown fields and per-field validators
+const validateFields = (value, fields) => {
+  if (!isPlainObject(value)) {
+    return 'must be an object';
+  }
+  for (const [key, fieldValue] of Object.entries(value)) {
+    const validate = fields[key];
+    if (!validate) {
+      return `unknown field ${key}`;
+    }
+    const error = validate(fieldValue);
+    if (error) {
+      return `${key} ${error}`;
+    }
+  }
+  return null;
+};
+
+const integerBetween = (min, max) => (value) =>
+  Number.isInteger(value) && value >= min && value <= max ? null : `must be an integer between ${min} and ${max}`;
+
+const booleanField = (value) => typeof value === 'boolean' ? null : 'must be a boolean';
+
+const oneOf = (values) => (value) => values.includes(value) ? null : `must be one of: ${values.join(', ')}`;
+
+// A list of distinct names out of `allowed`, optionally required to be non-empty
+const distinctList = (allowed, noun, { nonEmpty = false } = {}) => (value) =>
+  Array.isArray(value) && (!nonEmpty || value.length > 0) &&
+    value.every(item => allowed.includes(item)) && new Set(value).size === value.length
+    ? null : `must be a ${nonEmpty ? 'non-empty ' : ''}list of distinct ${noun} (${allowed.join(', ')})`;
+
+const WAIT_UNTIL = ['load', 'domcontentloaded', 'networkidle0', 'networkidle2'];
+
+// Headers the browser manages itself or that would change what is crawled
+const FORBIDDEN_HEADERS = ['host', 'content-length', 'connection', 'transfer-encoding', 'upgrade', 'cookie', 'te', 'trailer', 'keep-alive', 'proxy-authorization'];
+
+const HEADER_NAME = /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/;
+
+const COOKIE_SAME_SITE = ['Strict', 'Lax', 'None'];
+
+const stringUpTo = (max) => (value) =>
+  typeof value === 'string' && value.length > 0 && value.length <= max ? null : `must be a non-empty string of at most ${max} characters`;
+
+const numberBetween = (min, max) => (value) =>
+  typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max ? null : `must be a number between ${min} and ${max}`;
+
+const isTimezone = (value) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const validateHeaders = (headers) => {
+  if (!isPlainObject(headers) || Object.keys(headers).length > config.page.maxHeaders) {
+    return `must be an object with at most ${config.page.maxHeaders} headers`;
+  }
+  for (const [name, value] of Object.entries(headers)) {
+    if (!HEADER_NAME.test(name) || FORBIDDEN_HEADERS.includes(name.toLowerCase()) || name.toLowerCase().startsWith('proxy-')) {
+      return `has a header that cannot be set: ${name}`;
+    }
+    if (typeof value !== 'string' || value.length > 4096 || /[\r\n]/.test(value)) {
+      return `${name} must be a single-line string of at most 4096 characters`;
+    }
+  }
+  return null;
+};
+
+const validateCookie = (cookie) => {
+  const error = validateFields(cookie, {
+    name: stringUpTo(256),
+    value: (value) => typeof value === 'string' && value.length <= 4096 ? null : 'must be a string of at most 4096 characters',
+    domain: stringUpTo(253),
+    path: (path) => typeof path === 'string' && path.startsWith('/') ? null : 'must start with /',
+    expires: (expires) => isNonNegativeInteger(expires) ? null : 'must be a unix timestamp in seconds',
+    secure: booleanField,
+    httpOnly: booleanField,
+    sameSite: oneOf(COOKIE_SAME_SITE)
+  });
+  if (error) {
+    return error;
+  }
+  return cookie.name === undefined || cookie.value === undefined ? 'needs name and value' : null;
+};
+
+const nonEmptyString = (value) => typeof value === 'string' && value.length > 0 ? null : 'must be a non-empty string';
+
+const selectorField = (value) => typeof value === 'string' && isValidSelector(value) ? null : 'must be a valid CSS selector';
+
+// Fields per action type besides type, timeout and optional; required fields come first in `required`
+const actionFields = () => {
+  const { maxTimeout, maxScrolls, maxTypeLength, scripts } = config.actions;
+  return {
+    waitForSelector: { required: ['selector'], fields: { selector: selectorField, visible: booleanField } },
+    waitForTimeout: { required: ['ms'], fields: { ms: integerBetween(0, maxTimeout) } },
+    scrollToBottom: { required: [], fields: { maxScrolls: integerBetween(1, maxScrolls), delay: integerBetween(0, 5000) } },
+    click: { required: ['selector'], fields: { selector: selectorField, all: booleanField } },
+    type: {
+      required: ['selector', 'text'],
+      fields: {
+        selector: selectorField,
+        text: (text) => typeof text === 'string' && text.length <= maxTypeLength ? null : `must be a string of at most ${maxTypeLength} characters`,
+        delay: integerBetween(0, 1000)
+      }
+    },
+    press: { required: ['key'], fields: { key: nonEmptyString, selector: selectorField } },
+    evaluate: { required: ['script'], fields: { script: oneOf(Object.keys(scripts)) } }
+  };
+};
+
+const validateAction = (action) => {
+  if (!isPlainObject(action) || !ACTION_TYPES.includes(action.type)) {
+    return `must be an object with a type (${ACTION_TYPES.join(', ')})`;
+  }
+  const { required, fields } = actionFields()[action.type];
+  const { type, ...rest } = action;
+  const error = validateFields(rest, {
+    ...fields,
+    timeout: integerBetween(1, config.actions.maxTimeout),
+    optional: booleanField
+  });
+  if (error) {
+    return error;
+  }
+  const missing = required.find(field => action[field] === undefined);
+  return missing ? `needs ${missing}` : null;
+};
+
+// One validator per option; each returns an error message or null
+const validators = {
+  politeness: (value) => validateFields(value, {
+    respectRobots: booleanField,
+    maxConcurrent: integerBetween(1, config.politeness.maxPerHostConcurrency),
+    minInterval: (interval) => isNonNegativeInteger(interval) ? null : 'must be a non-negative integer (ms)'
+  }),
+
+  formats: distinctList(OUTPUT_FORMATS, 'formats', { nonEmpty: true }),
+
+  // An empty list turns structured data off
+  extract: distinctList(STRUCTURED_TYPES, 'types'),
+
+  parser: (value) => validateFields(value, {
+    engines: distinctList(PARSER_ENGINES, 'engines', { nonEmpty: true }),
+    merge: oneOf(MERGE_STRATEGIES)
+  }),
+
+  // Names are looked up when validating so converters, rules and post-processors
+  // registered at startup are accepted too
+  markdown: (value) => {
+    const names = markdownPluginNames();
+    return validateFields(value, {
+      converters: distinctList(names.converters, 'converters', { nonEmpty: true }),
+      rules: distinctList(names.rules, 'rules'),
+      postProcessors: distinctList(names.postProcessors, 'post-processors')
+    });
+  },
+
+  header: (value) => validateFields(value, {
+    enabled: booleanField,
+    selectors: (selectors) => Array.isArray(selectors) && selectors.length > 0 &&
+      selectors.every(selector => typeof selector === 'string' && isValidSelector(selector))
+      ? null : 'must be a non-empty list of valid CSS selectors'
+  }),
+
+  capture: (value) => {
+    const error = validateFields(value, {
+      screenshot: (screenshot) => screenshot === true || screenshot === false ? null : validateFields(screenshot, {
+        fullPage: booleanField,
+        type: oneOf(SCREENSHOT_TYPES),
+        quality: integerBetween(1, 100)
+      }),
+      pdf: (pdf) => pdf === true || pdf === false ? null : validateFields(pdf, {
+        format: oneOf(PDF_FORMATS),
+        landscape: booleanField
+      })
+    });
+    if (error) {
+      return error;
+    }
+    if (value.screenshot?.quality !== undefined && value.screenshot.type !== 'jpeg') {
+      return 'screenshot quality only applies to jpeg';
+    }
+    return null;
+  },
+
+  emulation: (value) => {
+    const max = config.artifacts.maxViewport;
+    return validateFields(value, {
+      device: (device) => DEVICE_NAMES.includes(device) ? null : 'must be a known device name (e.g. "iPhone 13", "Pixel 5")',
+      userAgent: stringUpTo(512),
+      locale: (locale) => typeof locale === 'string' && /^[a-zA-Z]{2,3}(?:-[a-zA-Z0-9]{2,8})*$/.test(locale)
+        ? null : 'must be a BCP 47 language tag (e.g. "de-DE")',
+      timezone: (timezone) => typeof timezone === 'string' && isTimezone(timezone)
+        ? null : 'must be an IANA time zone (e.g. "Europe/Amsterdam")',
+      geolocation: (geolocation) => {
+        const error = validateFields(geolocation, {
+          latitude: numberBetween(-90, 90),
+          longitude: numberBetween(-180, 180),
+          accuracy: numberBetween(0, 100000)
+        });
+        if (error) {
+          return error;
+        }
+        return geolocation.latitude === undefined || geolocation.longitude === undefined ? 'needs latitude and longitude' : null;
+      },
+      viewport: (viewport) => {
+        const error = validateFields(viewport, {
+          width: integerBetween(100, max.width),
+          height: integerBetween(100, max.height),
+          deviceScaleFactor: (factor) => typeof factor === 'number' && factor > 0 && factor <= max.deviceScaleFactor
+            ? null : `must be a number above 0 and at most ${max.deviceScaleFactor}`,
+          isMobile: booleanField,
+          hasTouch: booleanField,
+          isLandscape: booleanField
+        });
+        if (error) {
+          return error;
+        }
+        return viewport.width === undefined || viewport.height === undefined ? 'needs width and height' : null;
+      }
+    });
+  },
+
+  navigation: (value) => validateFields(value, {
+    waitUntil: oneOf(WAIT_UNTIL),
+    timeout: integerBetween(1000, config.page.maxNavigationTimeout),
+    totalTimeout: integerBetween(1000, config.page.maxTotalTimeout),
+    headers: validateHeaders,
+    cookies: (cookies) => {
+      if (!Array.isArray(cookies) || cookies.length > config.page.maxCookies) {
+        return `must be a list of at most ${config.page.maxCookies} cookies`;
+      }
+      for (const [index, cookie] of cookies.entries()) {
+        const error = validateCookie(cookie);
+        if (error) {
+          return `${index + 1} ${error}`;
+        }
+      }
+      return null;
+    }
+  }),
+
+  actions: (value) => {
+    if (!Array.isArray(value) || value.length > config.actions.maxActions) {
+      return `must be a list of at most ${config.actions.maxActions} actions`;
+    }
+    for (const [index, action] of value.entries()) {
+      const error = validateAction(action);
+      if (error) {
+        return `step ${index + 1} ${error}`;
+      }
+    }
+    return null;
+  },
+
+  // Named session to load storage state from and (unless save is false) save it back to
+  session: (value) => {
+    const error = validateFields(value, {
+      name: (name) => typeof name === 'string' && SESSION_NAME.test(name) ? null : 'must be 1-64 letters, digits, "-" or "_"',
+      save: booleanField
+    });
+    if (error) {
+      return error;
+    }
+    return value.name === undefined ? 'needs name' : null;
+  },
+
+  // Fail instead of extracting when the page answers with a non-2xx status
+  failOnStatus: booleanField,
+
+  // Browser driver to render the page with instead of config.browser.driver
+  driver: oneOf(DRIVER_NAMES),
+
+  // Proxy pool to route the page through instead of the default pool
+  proxy: (value) => validateFields(value, {
+    pool: (pool) => {
+      const pools = proxyPoolNames();
+      if (pools.length === 0) {
+        return 'is not available, no proxy pools are configured';
+      }
+      return oneOf(pools)(pool);
+    }
+  }),
+
+  cache: (value) => {
+    if (!CACHE_MODES.includes(value)) {
+      return `must be one of: ${CACHE_MODES.join(', ')}`;
+    }
+    return null;
+  }
+};
+
+/**
+ * Validate a crawl options object
+ * @param {Object} options - Options from a request body (undefined is allowed)
+ * @returns {string|null} Error message, or null when the options are valid
+ */
+export function validateCrawlOptions(options) {
+  if (options === undefined) {
+    return null;
+  }
+  if (!isPlainObject(options)) {
+    return 'options must be an object';
+  }
+
+  for (const [key, value] of Object.entries(options)) {
+    const validate = validators[key];
+    if (!validate) {
+      return `Unknown option: ${key}`;
+    }
+    const error = validate(value);
+    if (error) {
+      return `options.${key} ${error}`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Effective politeness settings: request overrides on top of the configured defaults
+ * @param {Object} overrides - options.politeness from the request
+ * @returns {Object} { respectRobots, maxConcurrent, minInterval }
+ */
+export function resolvePoliteness(overrides = {}) {
+  return {
+    respectRobots: overrides.respectRobots ?? config.politeness.respectRobots,
+    maxConcurrent: overrides.maxConcurrent ?? config.politeness.perHostConcurrency,
+    minInterval: overrides.minInterval ?? config.politeness.minHostInterval
+  };
+}
+
+/**
+ * The options that shape a crawl result, used as part of the result cache key
+ * @param {Object} options - Crawl options
+ * @returns {Object} Options without the run-only settings
+ */
+export function extractionOptions(options = {}) {
+  return Object.fromEntries(Object.entries(options).filter(([key]) => !NON_EXTRACTION_OPTIONS.includes(key)));
+}
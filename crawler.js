@@ -0,0 +1,264 @@
+import { config } from './config.js';
+import { parseWebpage } from './parser.js';
+import { assertUrlAllowed, isUrlAllowed } from './url-policy.js';
+import { checkRobots } from './robots.js';
+import { acquireHostSlot } from './host-limiter.js';
+import { resolvePoliteness, extractionOptions } from './crawl-options.js';
+import { isCacheEnabled, cacheKey, lookupResult, storeResult, revalidateEntry } from './cache.js';
+import { captureArtifacts } from './artifacts.js';
+import { runActions } from './actions.js';
+import { selectProxy } from './proxy.js';
+import { getSession, saveSession } from './sessions.js';
+import { createError } from './errors.js';
+import { driverFor } from './browser-driver.js';
+
+// Logging utilities that respect config settings and include timestamps
+const debugLog = (...args) => {
+  if (config.logging.debug) {
+    console.log(`[${new Date().toISOString()}]`, ...args);
+  }
+};
+
+const requestLog = (...args) => {
+  if (config.logging.logRequests) {
+    console.log(`[${new Date().toISOString()}]`, ...args);
+  }
+};
+
+// Robots check and per-host slot; resolves to the slot's release function
+const waitForPoliteness = async (url, overrides) => {
+  const politeness = resolvePoliteness(overrides);
+  let minInterval = politeness.minInterval;
+
+  if (politeness.respectRobots) {
+    const robots = await checkRobots(url);
+    if (!robots.allowed) {
+      throw createError('ROBOTS_DISALLOWED', `URL disallowed by robots.txt for user-agent ${config.politeness.robotsToken}`, { statusCode: 403 });
+    }
+    if (robots.crawlDelay) {
+      minInterval = Math.max(minInterval, Math.min(robots.crawlDelay * 1000, config.politeness.maxCrawlDelay));
+    }
+  }
+
+  return acquireHostSlot(url, { maxConcurrent: politeness.maxConcurrent, minInterval });
+};
+
+// Cached result with a report of how the cache was used
+const fromCache = (entry, status) => ({
+  ...entry.result,
+  cache: { hit: true, status, stored_at: entry.stored_at }
+});
+
+// Main document response: status, headers of interest, redirect chain and final URL.
+// The final URL is the page's, so redirects made by scripts after load count too.
+const describeResponse = async (driver, page, response) => {
+  if (!response) {
+    return { info: { status: null, status_text: null, final_url: page.url(), redirects: [], headers: {} }, headers: {} };
+  }
+  const { status, statusText, headers, redirects } = await driver.describeResponse(response);
+  return {
+    info: {
+      status,
+      status_text: statusText,
+      final_url: page.url(),
+      redirects,
+      headers: Object.fromEntries(config.page.responseHeaders
+        .filter(name => headers[name] !== undefined)
+        .map(name => [name, headers[name]]))
+    },
+    headers
+  };
+};
+
+// Whether the page request carries request-specific state (headers, cookies, a session,
+// an emulated user agent or language). The plain conditional GET of a revalidation cannot
+// reproduce it, so such crawls re-render an expired entry instead.
+const hasRequestState = ({ navigation = {}, emulation = {}, session }) =>
+  Boolean(session || navigation.headers || navigation.cookies?.length ||
+    emulation.userAgent || emulation.device || emulation.locale);
+
+// Opt-in failure for main documents answered with a non-2xx status
+const assertResponseStatus = (response, failOnStatus) => {
+  const status = response?.status;
+  if (failOnStatus && status && (status < 200 || status > 299)) {
+    throw createError('HTTP_STATUS', `Page responded with HTTP ${status}`, { statusCode: 502, status });
+  }
+};
+
+// Navigate, run the page actions, read and parse the page, collect links and captures.
+// Resolves to the result and all headers of the main document.
+const renderPage = async (driver, page, url, { collectLinks, inlineArtifacts, ...options }) => {
+  // Navigate to URL
+  debugLog('Navigating to URL...');
+  const response = await driver.goto(page, url, { waitUntil: options.navigation?.waitUntil || config.page.waitUntil });
+  const { info: responseInfo, headers } = await describeResponse(driver, page, response);
+  debugLog(`Navigation completed (HTTP ${responseInfo.status ?? 'n/a'}, ${responseInfo.redirects.length} redirect(s), final URL ${responseInfo.final_url})`);
+  assertResponseStatus(responseInfo, options.failOnStatus);
+
+  // Lazy content, expanders and the like, before the page is read
+  const actionReports = options.actions?.length ? await runActions(page, options.actions, driver) : null;
+
+  // Get fully rendered HTML
+  debugLog('Getting page content...');
+  const html = await page.content();
+  debugLog(`HTML content retrieved (${html.length} chars)`);
+
+  // Parse webpage using the parser module
+  debugLog('Processing webpage with parser module...');
+  // Relative links, site rules and metadata resolve against where the page ended up
+  const result = await parseWebpage(html, responseInfo.final_url, {
+    parser: options.parser,
+    header: options.header,
+    formats: options.formats,
+    extract: options.extract,
+    markdown: options.markdown,
+    status: responseInfo.status
+  });
+  result.url = url;
+  result.response = responseInfo;
+  if (actionReports) {
+    result.actions = actionReports;
+  }
+  debugLog('Webpage parsing completed');
+
+  if (collectLinks) {
+    result.outlinks = await page.$$eval('a[href]', anchors => anchors.map(anchor => anchor.href));
+    debugLog(`Collected ${result.outlinks.length} link(s) from rendered DOM`);
+  }
+
+  if (options.capture) {
+    result.artifacts = await captureArtifacts(page, options.capture, { inline: inlineArtifacts });
+  }
+
+  return { result, headers };
+};
+
+// Fail the crawl when it runs past its total timeout; the caller closes the page, which
+// ends whatever step was still running
+const withTotalTimeout = (promise, timeoutMs) => {
+  if (!timeoutMs) {
+    return promise;
+  }
+  let timer;
+  promise.catch(() => {});
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => {
+      timer = setTimeout(() => reject(createError('CRAWL_TIMEOUT', `Crawl exceeded its total timeout of ${timeoutMs}ms`, { statusCode: 504 })), timeoutMs);
+    })
+  ]).finally(() => clearTimeout(timer));
+};
+
+// Crawl a single URL: render it in its driver's shared browser and run the parser pipeline.
+// Background crawls wait for a free page; others fail fast when the page pool is saturated.
+// With collectLinks the rendered page's anchors are returned as `outlinks` (for the site crawler).
+// owner is the API key id the crawl runs for; options.session only reaches that key's sessions.
+export const crawlUrl = async (url, { background = false, collectLinks = false, inlineArtifacts = false, owner = null, ...options } = {}) => {
+  let page;
+  let releaseHost;
+
+  // Captures show the page as it is now, so they always come from a fresh render
+  const cacheMode = isCacheEnabled() && !options.capture ? options.cache || 'use' : 'bypass';
+  // Results of a session's crawls belong to the session's owner
+  const key = cacheKey(url, { ...extractionOptions(options), collectLinks, ...(options.session && { owner }) });
+  const driver = driverFor(options.driver);
+
+  try {
+    await assertUrlAllowed(url, { kind: 'target' });
+    if (options.capture?.pdf && !driver.capabilities.pdf) {
+      throw createError('CAPTURE_UNSUPPORTED', `The ${driver.name} driver cannot capture PDFs`, { statusCode: 400 });
+    }
+
+    let stale = null;
+    if (cacheMode === 'use') {
+      const { entry, fresh } = await lookupResult(key);
+      if (fresh) {
+        requestLog(`Cache hit for: ${url}`);
+        assertResponseStatus(entry.result.response, options.failOnStatus);
+        return fromCache(entry, 'hit');
+      }
+      stale = entry;
+    }
+
+    // Politeness first, so a page slot is never held while waiting on a slow host
+    releaseHost = await waitForPoliteness(url, options.politeness);
+
+    if (stale && !hasRequestState(options) && await revalidateEntry(stale)) {
+      requestLog(`Cache revalidated for: ${url}`);
+      assertResponseStatus(stale.result.response, options.failOnStatus);
+      return fromCache(stale, 'revalidated');
+    }
+
+    const stats = driver.getBrowserStats();
+    requestLog(`Starting crawl for: ${url} (${driver.name} request #${stats.requestCount})`);
+
+    // Get persistent browser instance
+    debugLog('Getting browser instance...');
+    const browser = await driver.getBrowser();
+
+    const proxy = selectProxy(url, { pool: options.proxy?.pool });
+    // A session that does not exist yet starts empty and is created when the crawl saves it
+    let session = null;
+    if (options.session) {
+      session = await getSession(owner, options.session.name);
+      if (!session && options.session.save === false) {
+        throw createError('SESSION_NOT_FOUND', `Session ${options.session.name} does not exist`, { statusCode: 404 });
+      }
+      session = session || { cookies: [], origins: [] };
+    }
+    page = await driver.createPage(browser, {
+      background,
+      url,
+      navigation: options.navigation,
+      emulation: options.emulation,
+      capturing: !!options.capture,
+      proxy,
+      session
+    });
+    debugLog('New page created');
+
+    // Check every request the page makes (navigation, redirects, subresources) against the URL policy
+    await driver.guardRequests(page, (requestUrl) => isUrlAllowed(requestUrl, { kind: 'subrequest' }));
+    await driver.blockAds(page);
+
+    // Navigation, actions, parsing and captures share the total timeout
+    const totalTimeout = options.navigation?.totalTimeout ?? config.page.totalTimeout;
+    const { result, headers } = await withTotalTimeout(
+      renderPage(driver, page, url, { collectLinks, inlineArtifacts, ...options }),
+      totalTimeout
+    );
+    result.response.proxy = proxy ? { pool: proxy.pool, server: proxy.server } : null;
+
+    if (cacheMode === 'bypass') {
+      return { ...result, cache: { hit: false, status: 'bypass', stored_at: null } };
+    }
+
+    // Keep the validators so an expired entry can be revalidated instead of re-rendered
+    const entry = await storeResult(key, url, result, {
+      etag: headers.etag || null,
+      lastModified: headers['last-modified'] || null
+    });
+    return { ...result, cache: { hit: false, status: cacheMode === 'refresh' ? 'refresh' : 'miss', stored_at: entry.stored_at } };
+  } finally {
+    // Clean up page resources (keep browser alive)
+    debugLog('Starting page cleanup...');
+    // Failed crawls save too: a passed challenge or a login may be all that worked
+    if (page && options.session && options.session.save !== false) {
+      try {
+        await saveSession(owner, options.session.name, page, await driver.cookies(page));
+      } catch (sessionError) {
+        console.error(`[${new Date().toISOString()}] ERROR Saving session ${options.session.name}:`, sessionError.message);
+      }
+    }
+    try {
+      if (page) {
+        debugLog('Closing page...');
+        await driver.closePage(page);
+      }
+      debugLog('Page cleanup completed successfully');
+    } catch (cleanupError) {
+      console.error(`[${new Date().toISOString()}] ERROR Page cleanup:`, cleanupError.message);
+    }
+    releaseHost?.();
+  }
+};
@@ -0,0 +1,15 @@
+/**
+ * Error helpers - errors carry a machine-readable `code` plus optional HTTP hints
+ * (`statusCode`, `retryAfter` in seconds) that the routes turn into responses
+ */
+
+/**
+ * Create an Error with a machine-readable code
+ * @param {string} code - Stable identifier callers can switch on (e.g. 'POOL_SATURATED')
+ * @param {string} message - Human readable description
+ * @param {Object} details - Extra fields such as statusCode or retryAfter
+ * @returns {Error} The decorated error
+ */
+export function createError(code, message, details = {}) {
+  return Object.assign(new Error(message), { code, ...details });
+}
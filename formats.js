@@ -0,0 +1,152 @@
+import { JSDOM } from 'jsdom';
+
+/**
+ * Output formats - serializers for the extracted article besides markdown:
+ * sanitized HTML and plain text that keeps paragraph structure
+ */
+
+export const OUTPUT_FORMATS = ['markdown', 'html', 'cleanHtml', 'text', 'rawHtml'];
+
+// Elements that never carry readable content
+const SKIP_TAGS = new Set(['script', 'style', 'noscript', 'template', 'head', 'svg', 'iframe', 'object', 'embed', 'canvas']);
+
+// Elements that start a new paragraph
+const PARAGRAPH_TAGS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'details', 'div', 'dl', 'fieldset', 'figcaption', 'figure',
+  'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'main', 'nav', 'ol', 'p', 'pre',
+  'section', 'summary', 'table', 'ul'
+]);
+
+// Elements that start a new line within a block
+const LINE_TAGS = new Set(['li', 'tr', 'dt', 'dd', 'caption']);
+
+// Stand-ins for newlines and spaces inside <pre> so whitespace cleanup leaves them alone
+const PRE_NEWLINE = '\u0000';
+const PRE_SPACE = '\u0001';
+
+/**
+ * Serialize HTML to plain text with paragraphs separated by blank lines, list items
+ * and table rows on their own lines, table cells separated by tabs and <pre> kept as-is
+ * @param {string} html - HTML fragment
+ * @returns {string} Plain text
+ */
+export function htmlToText(html) {
+  let text = '';
+  // Line breaks owed by the last closed/opened block, written before the next text
+  let pendingBreaks = 0;
+
+  const append = (value) => {
+    if (text && pendingBreaks > 0) {
+      text += '\n'.repeat(pendingBreaks);
+    }
+    pendingBreaks = 0;
+    text += value;
+  };
+  const breakLines = (count) => {
+    pendingBreaks = Math.max(pendingBreaks, count);
+  };
+
+  const walk = (node, inPre) => {
+    if (node.nodeType === 3) {
+      append(inPre ? node.data.replace(/\n/g, PRE_NEWLINE).replace(/ /g, PRE_SPACE) : node.data.replace(/\s+/g, ' '));
+      return;
+    }
+    if (node.nodeType !== 1 && node.nodeType !== 11) {
+      return;
+    }
+
+    const tag = node.tagName?.toLowerCase();
+    if (SKIP_TAGS.has(tag)) {
+      return;
+    }
+    if (tag === 'br') {
+      append('\n');
+      return;
+    }
+    if (tag === 'img') {
+      const alt = node.getAttribute('alt')?.trim();
+      if (alt) {
+        append(` ${alt} `);
+      }
+      return;
+    }
+
+    const breaks = PARAGRAPH_TAGS.has(tag) ? 2 : LINE_TAGS.has(tag) ? 1 : 0;
+    breakLines(breaks);
+    if (tag === 'li') {
+      append('- ');
+    } else if ((tag === 'td' || tag === 'th') && node.previousElementSibling) {
+      append('\t');
+    }
+
+    for (const child of node.childNodes) {
+      walk(child, inPre || tag === 'pre');
+    }
+    breakLines(breaks);
+  };
+
+  walk(JSDOM.fragment(html), false);
+
+  return text
+    .replace(/ {2,}/g, ' ')
+    .replace(/[ \t]*\n[ \t]*/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .replace(new RegExp(PRE_NEWLINE, 'g'), '\n')
+    .replace(new RegExp(PRE_SPACE, 'g'), ' ')
+    .trim();
+}
+
+// Elements removed by sanitizeHtml (svg and math can carry script URLs in animations)
+const UNSAFE_TAGS = 'script, style, noscript, template, iframe, frame, frameset, object, embed, applet, link, meta, base, form, input, button, select, textarea, svg, math, animate, set';
+
+// Attributes holding a URL, and the schemes they may use (anything else must be relative)
+const URL_ATTRIBUTES = ['href', 'src', 'action', 'formaction', 'xlink:href', 'poster', 'background', 'cite', 'longdesc'];
+const SAFE_SCHEMES = ['http:', 'https:', 'mailto:'];
+
+// Whether a URL attribute value is relative or uses a safe scheme. Browsers ignore ASCII
+// whitespace and control characters in schemes ("java\tscript:"), so those go first.
+const isSafeUrl = (name, value) => {
+  const url = value.replace(/[\u0000-\u0020\u007f-\u009f]/g, '');
+  const scheme = url.match(/^[a-z][a-z0-9+.-]*:/i)?.[0].toLowerCase();
+  if (!scheme || SAFE_SCHEMES.includes(scheme)) {
+    return true;
+  }
+  // Inline raster images cannot run script
+  return name === 'src' && /^data:image\/(?:png|jpe?g|gif|webp|avif)[;,]/i.test(url);
+};
+
+/**
+ * Sanitize HTML: strips scripts, styles, embeds, forms, SVG/MathML, event handlers,
+ * inline styles, URLs other than http(s), mailto and relative ones, and comments,
+ * keeping the content markup
+ * @param {string} html - HTML fragment
+ * @returns {string} Sanitized HTML
+ */
+export function sanitizeHtml(html) {
+  const dom = new JSDOM('<!DOCTYPE html><body></body>');
+  const { document, NodeFilter } = dom.window;
+  document.body.innerHTML = html;
+
+  for (const element of document.body.querySelectorAll(UNSAFE_TAGS)) {
+    element.remove();
+  }
+
+  for (const element of document.body.querySelectorAll('*')) {
+    for (const attribute of [...element.attributes]) {
+      const name = attribute.name.toLowerCase();
+      const isUnsafeUrl = URL_ATTRIBUTES.includes(name) && !isSafeUrl(name, attribute.value);
+      if (name.startsWith('on') || name === 'style' || isUnsafeUrl) {
+        element.removeAttribute(attribute.name);
+      }
+    }
+  }
+
+  const comments = document.createTreeWalker(document.body, NodeFilter.SHOW_COMMENT);
+  const toRemove = [];
+  while (comments.nextNode()) {
+    toRemove.push(comments.currentNode);
+  }
+  toRemove.forEach(comment => comment.remove());
+
+  return document.body.innerHTML.trim();
+}
@@ -1,37 +1,157 @@
-// Header splicing utility - finds and combines headers with Readability content
-
-const HEADER_SELECTORS = [
-  // Semantic elements
-  'header',
-  // Common utility classes
-  '.site-header', '.page-header', '.page-hero', '.hero', '.hero-banner', '.hero-section',
-  '.masthead', '.top-bar', '.navbar', '.nav-bar', '.app-header', '.layout-header',
-  // ID variants
-  '#header', '#site-header', '#page-header', '#masthead', '#hero'
-].join(',');
+// Header splicing utility - finds the page's hero/header, keeps only its heading,
+// subtitle and image, and splices them in front of the content the parsers see
+
+import { config } from './config.js';
+
+// Describe an element as tag#id.class for reporting
+const describeElement = (element) => {
+  const id = element.id ? `#${element.id}` : '';
+  const classes = [...element.classList].slice(0, 3).map(name => `.${name}`).join('');
+  return `${element.tagName.toLowerCase()}${id}${classes}`;
+};
+
+const textLength = (element) => element.textContent.replace(/\s+/g, ' ').trim().length;
+
+// Share of an element's text that sits inside links
+const linkDensity = (element) => {
+  const total = textLength(element);
+  if (total === 0) {
+    return 0;
+  }
+  const linked = [...element.querySelectorAll('a')].reduce((sum, link) => sum + textLength(link), 0);
+  return Math.min(1, linked / total);
+};
+
+// Copy of the candidate without navigation, forms and link-heavy blocks
+const cleanCandidate = (candidate, settings) => {
+  const clone = candidate.cloneNode(true);
+  for (const element of clone.querySelectorAll(settings.stripSelectors.join(','))) {
+    element.remove();
+  }
+  for (const element of [...clone.querySelectorAll('ul, ol, div, p, section')].reverse()) {
+    if (clone.contains(element) && element.querySelector('a') && linkDensity(element) > settings.maxLinkDensity) {
+      element.remove();
+    }
+  }
+  return clone;
+};
+
+// Heading, subtitle and image that survive cleaning
+const extractHero = (clean, baseUrl) => {
+  const headingElement = clean.querySelector('h1') || clean.querySelector('h2');
+  const heading = headingElement?.textContent.replace(/\s+/g, ' ').trim() || null;
+
+  let subtitle = null;
+  for (const element of clean.querySelectorAll('.subtitle, .tagline, .lead, .deck, .standfirst, p, h2, h3')) {
+    if (element === headingElement) {
+      continue;
+    }
+    const text = element.textContent.replace(/\s+/g, ' ').trim();
+    if (text.length >= 20 && text.length <= 400 && text !== heading) {
+      subtitle = text;
+      break;
+    }
+  }
+
+  let image = null;
+  for (const img of clean.querySelectorAll('img')) {
+    const src = img.getAttribute('src') || img.getAttribute('data-src');
+    const width = parseInt(img.getAttribute('width'), 10);
+    // Skip icons, logos and tracking pixels
+    if (!src || src.startsWith('data:') || (width && width < 100) || /logo|icon|avatar|sprite/i.test(`${src} ${img.className}`)) {
+      continue;
+    }
+    try {
+      image = { src: new URL(src, baseUrl).href, alt: img.getAttribute('alt') || '' };
+      break;
+    } catch (error) {
+      // Unparseable src, try the next image
+    }
+  }
+
+  return { heading, subtitle, image };
+};
+
+// Hero content scores; navigation and link-heavy candidates lose points
+const scoreCandidate = (candidate, hero, settings) => {
+  let score = 0;
+  if (hero.heading) score += candidate.querySelector('h1') ? 4 : 2;
+  if (hero.subtitle) score += 2;
+  if (hero.image) score += 2;
+  if (/hero|masthead|banner/i.test(`${candidate.id} ${candidate.className}`)) score += 1;
+  if (linkDensity(candidate) > settings.maxLinkDensity) score -= 2;
+  score -= Math.min(3, candidate.querySelectorAll('nav, [role="navigation"]').length);
+  return score;
+};
 
 /**
- * Inject header element into DOM before Readability processing
+ * Splice the best header/hero candidate into the DOM before content extraction
  * @param {Document} document - JSDOM document
- * @returns {Object} Metadata about header injection
+ * @param {Object} options - Overrides for config.headerSplice (enabled, selectors)
+ * @returns {Object} Report: { headerFound, headerTag, spliced, element, score, candidates, heading, subtitle, image }
  */
-export function injectHeader(document) {
-  const headerEl = document.querySelector(HEADER_SELECTORS);
-  
-  if (!headerEl) {
-    return { headerFound: false, headerTag: null };
+export function injectHeader(document, options = {}) {
+  const settings = { ...config.headerSplice, ...options };
+  const report = { headerFound: false, headerTag: null, spliced: false, element: null, score: null, candidates: 0, heading: null, subtitle: null, image: null };
+
+  if (!settings.enabled) {
+    return report;
+  }
+
+  const candidates = [...document.querySelectorAll(settings.selectors.join(','))];
+  report.candidates = candidates.length;
+
+  let best = null;
+  for (const candidate of candidates) {
+    const hero = extractHero(cleanCandidate(candidate, settings), document.URL);
+    if (!hero.heading && !hero.image) {
+      continue;
+    }
+    const score = scoreCandidate(candidate, hero, settings);
+    // Ties go to the earlier candidate in document order
+    if (score >= settings.minScore && (!best || score > best.score)) {
+      best = { candidate, hero, score };
+    }
+  }
+
+  if (!best) {
+    return report;
   }
 
-  // Find main content area to inject header into
+  // A header inside the content area is already seen by the parsers
   const mainContent = document.querySelector('main, article, .content, .post-content, .entry-content, [role="main"]') || document.body;
-  
-  // Clone header content and wrap in neutral div so Readability processes it
+  const spliced = !mainContent.contains(best.candidate) || mainContent === document.body;
+
+  // Rebuild the hero from its parts so no menus or links come along
   const contentDiv = document.createElement('div');
-  contentDiv.innerHTML = headerEl.innerHTML;
-  mainContent.insertBefore(contentDiv, mainContent.firstChild);
-  
+  if (best.hero.heading) {
+    const heading = document.createElement('h1');
+    heading.textContent = best.hero.heading;
+    contentDiv.appendChild(heading);
+  }
+  if (best.hero.subtitle) {
+    const subtitle = document.createElement('p');
+    subtitle.textContent = best.hero.subtitle;
+    contentDiv.appendChild(subtitle);
+  }
+  if (best.hero.image) {
+    const image = document.createElement('img');
+    image.setAttribute('src', best.hero.image.src);
+    image.setAttribute('alt', best.hero.image.alt);
+    contentDiv.appendChild(image);
+  }
+
+  if (spliced) {
+    mainContent.insertBefore(contentDiv, mainContent.firstChild);
+  }
+
   return {
+    ...report,
     headerFound: true,
-    headerTag: headerEl.tagName.toLowerCase()
+    headerTag: best.candidate.tagName.toLowerCase(),
+    spliced,
+    element: describeElement(best.candidate),
+    score: best.score,
+    ...best.hero
   };
-} 
\ No newline at end of file
+}
@@ -0,0 +1,103 @@
+import { config } from './config.js';
+
+// Logging utilities that respect config settings and include timestamps
+const debugLog = (...args) => {
+  if (config.logging.debug) {
+    console.log(`[${new Date().toISOString()}]`, ...args);
+  }
+};
+
+/**
+ * Host Limiter - per-host politeness: caps concurrent requests to one host and
+ * keeps a minimum interval between request starts, across every crawl path
+ */
+
+// host -> { active, lastStart, waiters }
+const hosts = new Map();
+
+const getHostState = (host) => {
+  let state = hosts.get(host);
+  if (!state) {
+    state = { active: 0, lastStart: 0, waiters: [], timer: null };
+    hosts.set(host, state);
+  }
+  return state;
+};
+
+// Start as many waiters as the limits allow, scheduling a retry for the interval
+const drain = (host, state) => {
+  if (state.timer) {
+    return;
+  }
+
+  while (state.waiters.length > 0) {
+    const waiter = state.waiters[0];
+    if (state.active >= waiter.maxConcurrent) {
+      return;
+    }
+
+    const wait = state.lastStart + waiter.minInterval - Date.now();
+    if (wait > 0) {
+      state.timer = setTimeout(() => {
+        state.timer = null;
+        drain(host, state);
+      }, wait);
+      return;
+    }
+
+    state.waiters.shift();
+    state.active++;
+    state.lastStart = Date.now();
+    waiter.resolve();
+  }
+};
+
+// Forget hosts that have been idle for a while (their last start no longer matters)
+const IDLE_HOST_TTL = 10 * 60 * 1000;
+setInterval(() => {
+  const cutoff = Date.now() - IDLE_HOST_TTL;
+  for (const [host, state] of hosts) {
+    if (state.active === 0 && state.waiters.length === 0 && state.lastStart < cutoff) {
+      hosts.delete(host);
+    }
+  }
+}, 60 * 1000).unref();
+
+/**
+ * Wait for a politeness slot on the URL's host
+ * @param {string} url - URL about to be requested
+ * @param {Object} limits
+ * @param {number} limits.maxConcurrent - Concurrent requests allowed to the host
+ * @param {number} limits.minInterval - Minimum ms between request starts on the host
+ * @returns {Promise<Function>} Release function, call it when the request is done
+ */
+export async function acquireHostSlot(url, { maxConcurrent, minInterval }) {
+  const host = new URL(url).host.toLowerCase();
+  const state = getHostState(host);
+
+  await new Promise((resolve) => {
+    state.waiters.push({ resolve, maxConcurrent, minInterval });
+    drain(host, state);
+  });
+  debugLog(`Host slot acquired for ${host} (${state.active} active)`);
+
+  let released = false;
+  return () => {
+    if (released) return;
+    released = true;
+    state.active--;
+    drain(host, state);
+  };
+}
+
+/**
+ * Current per-host activity
+ * @returns {Object} host -> { active, waiting }
+ */
+export function getHostLimiterStats() {
+  const stats = {};
+  for (const [host, state] of hosts) {
+    stats[host] = { active: state.active, waiting: state.waiters.length };
+  }
+  return stats;
+}
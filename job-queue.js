@@ -0,0 +1,258 @@
+import { randomUUID } from 'crypto';
+import { config } from './config.js';
+import { createFileStore } from './store.js';
+import { createError } from './errors.js';
+
+// Logging utilities that respect config settings and include timestamps
+const debugLog = (...args) => {
+  if (config.logging.debug) {
+    console.log(`[${new Date().toISOString()}]`, ...args);
+  }
+};
+
+const requestLog = (...args) => {
+  if (config.logging.logRequests) {
+    console.log(`[${new Date().toISOString()}]`, ...args);
+  }
+};
+
+/**
+ * Job Queue - durable background work with a bounded number of concurrent workers
+ *
+ * Every job is persisted on each state change, so queued work (and work that was
+ * running when the process died) is picked up again after a restart.
+ */
+
+const store = createFileStore('jobs');
+
+// In-memory index of all known jobs, and the ids waiting to run (FIFO)
+const jobs = new Map();
+const pending = [];
+const handlers = new Map();
+
+let runningCount = 0;
+let started = false;
+
+const FINISHED_STATES = ['succeeded', 'failed', 'cancelled'];
+
+/**
+ * Register the function that executes jobs of a given type
+ * @param {string} type - Job type (e.g. 'crawl')
+ * @param {Function} handler - async (job) => result; throwing marks the job failed
+ * @param {Object} hooks
+ * @param {Function} hooks.cleanup - async (job) called when an expired job is pruned
+ */
+export function registerJobHandler(type, handler, { cleanup = null } = {}) {
+  handlers.set(type, { run: handler, cleanup });
+}
+
+const persist = async (job) => {
+  try {
+    await store.save(job.id, job);
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] Failed to persist job ${job.id}:`, error.message);
+  }
+};
+
+const runJob = async (job) => {
+  const handler = handlers.get(job.type);
+
+  job.state = 'running';
+  job.started_at = new Date().toISOString();
+  job.attempts += 1;
+  await persist(job);
+  requestLog(`Job ${job.id} (${job.type}) started`);
+
+  try {
+    if (!handler) {
+      throw new Error(`No handler registered for job type "${job.type}"`);
+    }
+    job.result = (await handler.run(job)) ?? null;
+    job.state = 'succeeded';
+    job.error = null;
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] ERROR Job ${job.id}:`, error.message);
+    job.state = 'failed';
+    job.error = { message: error.message, code: error.code || null };
+  }
+
+  job.finished_at = new Date().toISOString();
+  job.duration_ms = Date.parse(job.finished_at) - Date.parse(job.started_at);
+  await persist(job);
+  requestLog(`Job ${job.id} ${job.state} after ${job.duration_ms}ms`);
+};
+
+// Start queued jobs until the worker limit is reached
+const pump = () => {
+  while (started && runningCount < config.jobs.concurrency && pending.length > 0) {
+    const job = jobs.get(pending.shift());
+    if (!job || job.state !== 'queued') {
+      continue;
+    }
+
+    runningCount++;
+    runJob(job)
+      .catch(error => console.error(`[${new Date().toISOString()}] Job ${job.id} crashed:`, error.message))
+      .finally(() => {
+        runningCount--;
+        pump();
+      });
+  }
+};
+
+// Drop finished jobs older than the retention window
+const pruneFinishedJobs = async () => {
+  const cutoff = Date.now() - config.jobs.retentionHours * 60 * 60 * 1000;
+
+  for (const job of jobs.values()) {
+    if (FINISHED_STATES.includes(job.state) && Date.parse(job.finished_at || job.created_at) < cutoff) {
+      jobs.delete(job.id);
+      try {
+        await handlers.get(job.type)?.cleanup?.(job);
+        await store.remove(job.id);
+      } catch (error) {
+        debugLog(`Failed to remove expired job ${job.id}: ${error.message}`);
+      }
+    }
+  }
+};
+
+/**
+ * Load persisted jobs and start processing. Jobs interrupted mid-run are re-queued.
+ */
+export async function startJobQueue() {
+  if (started) {
+    return;
+  }
+
+  const stored = await store.list();
+  stored.sort((a, b) => Date.parse(a.created_at) - Date.parse(b.created_at));
+
+  let resumed = 0;
+  for (const job of stored) {
+    if (job.state === 'running') {
+      job.state = 'queued';
+      job.started_at = null;
+      await persist(job);
+    }
+    jobs.set(job.id, job);
+    if (job.state === 'queued') {
+      pending.push(job.id);
+      resumed++;
+    }
+  }
+
+  await pruneFinishedJobs();
+  setInterval(() => {
+    pruneFinishedJobs().catch(() => {});
+  }, 60 * 60 * 1000).unref();
+
+  started = true;
+  requestLog(`Job queue started (${jobs.size} stored job(s), ${resumed} resumed)`);
+  pump();
+}
+
+/**
+ * Add a job to the queue
+ * @param {string} type - Job type with a registered handler
+ * @param {Object} payload - JSON-serializable input for the handler
+ * @param {Object} options
+ * @param {Function} options.generateId - () => job id (defaults to a random UUID)
+ * @returns {Promise<Object>} The persisted job record
+ * @throws {Error} QUEUE_FULL when maxQueued jobs are already waiting
+ */
+export async function enqueueJob(type, payload, { generateId = randomUUID } = {}) {
+  if (pending.length >= config.jobs.maxQueued) {
+    throw createError('QUEUE_FULL', 'Job queue is full, try again later', {
+      statusCode: 429,
+      retryAfter: config.jobs.retryAfter
+    });
+  }
+
+  const job = {
+    id: generateId(),
+    type,
+    state: 'queued',
+    payload,
+    attempts: 0,
+    created_at: new Date().toISOString(),
+    started_at: null,
+    finished_at: null,
+    duration_ms: null,
+    error: null,
+    result: null
+  };
+
+  // Only a job that was persisted is queued; a failed save leaves no trace
+  await store.save(job.id, job);
+  jobs.set(job.id, job);
+  pending.push(job.id);
+  debugLog(`Job ${job.id} (${type}) queued at position ${pending.length}`);
+  pump();
+
+  return job;
+}
+
+/**
+ * Persist progress a handler recorded on its running job
+ * @param {Object} job - Job record (mutated by the handler)
+ */
+export async function saveJob(job) {
+  await persist(job);
+}
+
+/**
+ * Look up a job by id
+ * @param {string} id - Job id
+ * @returns {Object|null} The job record
+ */
+export function getJob(id) {
+  return jobs.get(id) || null;
+}
+
+/**
+ * Cancel a queued job. Jobs that already started are returned unchanged.
+ * @param {string} id - Job id
+ * @returns {Promise<Object|null>} The job record, or null if unknown
+ */
+export async function cancelJob(id) {
+  const job = jobs.get(id);
+  if (!job || job.state !== 'queued') {
+    return job || null;
+  }
+
+  const index = pending.indexOf(id);
+  if (index !== -1) {
+    pending.splice(index, 1);
+  }
+
+  job.state = 'cancelled';
+  job.finished_at = new Date().toISOString();
+  await persist(job);
+  requestLog(`Job ${id} cancelled`);
+
+  return job;
+}
+
+/**
+ * Public view of a job (handler payload and resume checkpoint are internal)
+ * @param {Object} job - Job record
+ * @returns {Object} Serializable job status
+ */
+export function toJobStatus(job) {
+  const { payload, checkpoint, ...status } = job;
+  return { ...status, url: payload?.url ?? null };
+}
+
+/**
+ * Current queue statistics
+ * @returns {Object} Queue depth and worker usage
+ */
+export function getJobQueueStats() {
+  return {
+    queued: pending.length,
+    running: runningCount,
+    concurrency: config.jobs.concurrency,
+    maxQueued: config.jobs.maxQueued
+  };
+}
@@ -0,0 +1,268 @@
+import { NodeHtmlMarkdown } from 'node-html-markdown';
+import TurndownService from 'turndown';
+import { htmlToText } from './formats.js';
+import { config } from './config.js';
+
+// Logging utilities that respect config settings and include timestamps
+const debugLog = (...args) => {
+  if (config.logging.debug) {
+    console.log(`[${new Date().toISOString()}]`, ...args);
+  }
+};
+
+/**
+ * Markdown conversion - HTML goes through an ordered list of converters (the first
+ * non-empty result wins), then through post-processors that rewrite the markdown.
+ * Turndown gets the enabled custom rules. Converters, turndown rules and
+ * post-processors are registries: more can be registered at startup and then
+ * be selected by name in config.markdown or per request.
+ */
+
+const converters = new Map();
+const turndownRules = new Map();
+const postProcessors = new Map();
+
+/**
+ * Register a converter
+ * @param {string} name - Name used in config.markdown.converters and options.markdown.converters
+ * @param {Function} convert - (html, { rules }) => markdown string (or a promise of one)
+ */
+export function registerConverter(name, convert) {
+  converters.set(name, convert);
+}
+
+/**
+ * Register a turndown rule
+ * @param {string} name - Name used in config.markdown.rules and options.markdown.rules
+ * @param {Object} rule - Turndown rule ({ filter, replacement })
+ */
+export function registerTurndownRule(name, rule) {
+  turndownRules.set(name, rule);
+}
+
+/**
+ * Register a markdown post-processor
+ * @param {string} name - Name used in config.markdown.postProcessors and options.markdown.postProcessors
+ * @param {Function} process - (markdown, { baseUrl }) => markdown
+ */
+export function registerPostProcessor(name, process) {
+  postProcessors.set(name, process);
+}
+
+/**
+ * Names of everything registered, for option validation
+ * @returns {Object} { converters, rules, postProcessors }
+ */
+export function markdownPluginNames() {
+  return {
+    converters: [...converters.keys()],
+    rules: [...turndownRules.keys()],
+    postProcessors: [...postProcessors.keys()]
+  };
+}
+
+// Converters
+
+registerConverter('node-html-markdown', (html) => NodeHtmlMarkdown.translate(html));
+
+registerConverter('turndown', (html, { rules }) => {
+  const turndownService = new TurndownService(config.markdown.turndownOptions);
+  for (const name of rules) {
+    turndownService.addRule(name, turndownRules.get(name));
+  }
+  return turndownService.turndown(html);
+});
+
+// Plain text keeps the paragraph structure when nothing else works
+registerConverter('text', (html) => htmlToText(html));
+
+// Turndown rules
+
+const cleanText = (value) => (value || '').replace(/\s+/g, ' ').trim();
+
+// Figures with an image become the image followed by its caption in italics
+registerTurndownRule('figure', {
+  filter: (node) => node.nodeName === 'FIGURE' && Boolean(node.querySelector('img')),
+  replacement: (content, node) => {
+    const img = node.querySelector('img');
+    const src = img.getAttribute('src') || img.getAttribute('data-src') || '';
+    const alt = cleanText(img.getAttribute('alt')).replace(/[[\]]/g, '\\$&');
+    const caption = cleanText(node.querySelector('figcaption')?.textContent);
+    return `\n\n![${alt}](${src})${caption ? `\n\n*${caption}*` : ''}\n\n`;
+  }
+});
+
+// Embedded tweets (blockquote.twitter-tweet) become a quote with the author linked to the tweet
+registerTurndownRule('tweet', {
+  filter: (node) => node.nodeName === 'BLOCKQUOTE' && node.classList.contains('twitter-tweet'),
+  replacement: (content, node) => {
+    // Turndown's DOM returns node lists that are not iterable
+    const paragraphs = Array.from(node.querySelectorAll('p'));
+    const lines = paragraphs.map(paragraph => cleanText(paragraph.textContent)).filter(Boolean);
+    // The embed markup ends with "— Name (@handle) <a href=".../status/...">date</a>"
+    const statusLink = Array.from(node.querySelectorAll('a')).reverse()
+      .find(anchor => /\/status(?:es)?\/\d+/.test(anchor.getAttribute('href') || ''));
+    const attribution = cleanText(paragraphs.reduce((text, paragraph) => text.replace(paragraph.textContent, ''), node.textContent));
+
+    const quote = lines.map(line => `> ${line}`).join('\n>\n');
+    const source = statusLink
+      ? `[${attribution || 'Tweet'}](${statusLink.getAttribute('href')})`
+      : attribution;
+    return `\n\n${quote}${source ? `${quote ? '\n>\n' : ''}> ${source}` : ''}\n\n`;
+  }
+});
+
+// Language hint of a code block from the usual highlighter markup
+const codeLanguage = (pre, code) => {
+  for (const element of [code, pre]) {
+    const hint = element.getAttribute('data-lang') || element.getAttribute('data-language');
+    if (hint) {
+      return hint.trim();
+    }
+    const match = /(?:^|\s)(?:language|lang|highlight-source)-([\w+#.-]+)/.exec(element.className);
+    if (match) {
+      return match[1];
+    }
+  }
+  return '';
+};
+
+// Fenced code blocks with the language hint, whichever highlighter produced them
+registerTurndownRule('codeLanguage', {
+  filter: (node) => node.nodeName === 'PRE',
+  replacement: (content, node) => {
+    const code = node.querySelector('code') || node;
+    const text = code.textContent.replace(/\n$/, '');
+    // The fence must be longer than any backtick run inside the code
+    const longestRun = Math.max(0, ...(text.match(/`+/g) || []).map(run => run.length));
+    const fence = '`'.repeat(Math.max(3, longestRun + 1));
+    return `\n\n${fence}${codeLanguage(node, code)}\n${text}\n${fence}\n\n`;
+  }
+});
+
+// Post-processors
+
+// Inline links/images "](url)", reference definitions "[id]: url" and autolinks "<url>"
+const URL_PATTERNS = [
+  /(\]\(\s*<?)([^)\s>]+)(>?(?:\s+"[^"]*")?\s*\))/g,
+  /(^ {0,3}\[[^\]]+\]:\s*<?)([^\s>]+)(>?)/gm,
+  /(<)(https?:\/\/[^>\s]+)(>)/g
+];
+
+// Apply a URL rewrite to every URL in the markdown
+const rewriteUrls = (markdown, rewrite) => URL_PATTERNS.reduce(
+  (text, pattern) => text.replace(pattern, (match, before, url, after) => `${before}${rewrite(url)}${after}`),
+  markdown
+);
+
+// Reference-style links and autolinks become inline links
+registerPostProcessor('normalizeLinks', (markdown) => {
+  const definitions = new Map();
+  let text = markdown.replace(/^ {0,3}\[([^\]]+)\]:\s*<?([^\s>]+)>?(?:\s+(?:"[^"]*"|'[^']*'|\([^)]*\)))?[ \t]*$\n?/gm, (match, id, url) => {
+    definitions.set(id.toLowerCase(), url);
+    return '';
+  });
+
+  // [text][id], [text][] and [id]
+  text = text.replace(/(!?)\[([^\]]*)\]\[([^\]]*)\]/g, (match, bang, label, id) => {
+    const url = definitions.get((id || label).toLowerCase());
+    return url ? `${bang}[${label}](${url})` : match;
+  });
+  text = text.replace(/(!?)\[([^\]]+)\](?![([:])/g, (match, bang, label) => {
+    const url = definitions.get(label.toLowerCase());
+    return url ? `${bang}[${label}](${url})` : match;
+  });
+
+  return text
+    .replace(/<(https?:\/\/[^>\s]+)>/g, '[$1]($1)')
+    .replace(/\n{3,}/g, '\n\n')
+    .trimEnd();
+});
+
+// Query parameters that only identify campaigns and clicks
+const isTrackingParam = (name) => config.markdown.trackingParams.some(param =>
+  param.endsWith('*') ? name.startsWith(param.slice(0, -1)) : name === param
+);
+
+registerPostProcessor('stripTracking', (markdown) => rewriteUrls(markdown, (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return url;
+  }
+  const names = [...new Set(parsed.searchParams.keys())].filter(isTrackingParam);
+  if (names.length === 0) {
+    return url;
+  }
+  names.forEach(name => parsed.searchParams.delete(name));
+  return parsed.href;
+}));
+
+registerPostProcessor('absoluteLinks', (markdown, { baseUrl }) => rewriteUrls(markdown, (url) => {
+  // Leave in-page anchors and URLs with a scheme alone
+  if (!baseUrl || url.startsWith('#') || /^[a-z][a-z\d+.-]*:/i.test(url)) {
+    return url;
+  }
+  try {
+    return new URL(url, baseUrl).href;
+  } catch (error) {
+    return url;
+  }
+}));
+
+const withTimeout = (promise, timeoutMs, name) => {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(`${name} timeout after ${timeoutMs}ms`)), timeoutMs);
+    })
+  ]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * Bullet-proof HTML to Markdown conversion: converters are tried in order with a
+ * timeout each, then the post-processors run in order on the result
+ * @param {string} html - HTML fragment
+ * @param {Object} options - Overrides for config.markdown
+ * @param {Array<string>} options.converters - Converter order
+ * @param {Array<string>} options.rules - Turndown rules to enable
+ * @param {Array<string>} options.postProcessors - Post-processors to run
+ * @param {string} options.baseUrl - Page URL for resolving relative links
+ * @returns {Promise<Object>} { markdown, converter } - converter is null when none produced output
+ */
+export async function convertToMarkdown(html, {
+  converters: order = config.markdown.converters,
+  rules = config.markdown.rules,
+  postProcessors: processors = config.markdown.postProcessors,
+  baseUrl = null
+} = {}) {
+  let markdown = '';
+  let converter = null;
+
+  for (const name of order) {
+    try {
+      debugLog(`Trying ${name}...`);
+      const result = await withTimeout(
+        Promise.resolve().then(() => converters.get(name)(html, { rules })),
+        config.markdown.conversionTimeout,
+        name
+      );
+      if (result && result.trim().length > 0) {
+        debugLog(`${name} success (${result.length} chars)`);
+        markdown = result;
+        converter = name;
+        break;
+      }
+    } catch (error) {
+      debugLog(`${name} failed: ${error.message}`);
+    }
+  }
+
+  for (const name of processors) {
+    markdown = postProcessors.get(name)(markdown, { baseUrl });
+  }
+
+  return { markdown, converter };
+}
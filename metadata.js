@@ -0,0 +1,189 @@
+// Metadata extraction - reads page-level metadata (canonical URL, OpenGraph, Twitter
+// cards, JSON-LD, dates, images, favicon, keywords) from the JSDOM document
+
+// JSON-LD types kept in the result, grouped by what they describe
+const JSON_LD_TYPES = {
+  article: ['Article', 'NewsArticle', 'BlogPosting', 'Report', 'ScholarlyArticle', 'TechArticle', 'OpinionNewsArticle', 'ReportageNewsArticle'],
+  organization: ['Organization', 'Corporation', 'NewsMediaOrganization', 'LocalBusiness', 'Brand'],
+  product: ['Product', 'ProductGroup']
+};
+const KEPT_JSON_LD_TYPES = new Set(Object.values(JSON_LD_TYPES).flat());
+
+const PUBLISHED_META = ['article:published_time', 'og:published_time', 'datePublished', 'pubdate', 'publishdate', 'date', 'DC.date.issued', 'dc.date', 'sailthru.date', 'parsely-pub-date'];
+const MODIFIED_META = ['article:modified_time', 'og:updated_time', 'dateModified', 'last-modified', 'DC.date.modified'];
+
+// Meta content by name/property/itemprop (first non-empty match)
+const metaContent = (document, key) => {
+  const escaped = key.replace(/"/g, '\\"');
+  const element = document.querySelector(`meta[property="${escaped}" i], meta[name="${escaped}" i], meta[itemprop="${escaped}" i]`);
+  const content = element?.getAttribute('content')?.trim();
+  return content || null;
+};
+
+// Resolve a possibly relative URL against the page; null if it cannot be parsed
+const absoluteUrl = (value, baseUrl) => {
+  if (!value || typeof value !== 'string') {
+    return null;
+  }
+  try {
+    return new URL(value.trim(), baseUrl).href;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Normalize a date string to an ISO timestamp
+ * @param {string} value - Date as found in the page
+ * @returns {string|null} ISO timestamp, or null when it does not parse
+ */
+export function toIsoDate(value) {
+  if (!value || typeof value !== 'string') {
+    return null;
+  }
+  const time = Date.parse(value.trim());
+  return Number.isNaN(time) ? null : new Date(time).toISOString();
+}
+
+// Collect all meta tags with a prefix (og:, twitter:) into a flat object
+const prefixedMeta = (document, prefix) => {
+  const fields = {};
+  for (const element of document.querySelectorAll('meta[property], meta[name]')) {
+    const key = (element.getAttribute('property') || element.getAttribute('name')).trim();
+    const content = element.getAttribute('content')?.trim();
+    if (!key.toLowerCase().startsWith(prefix) || !content) {
+      continue;
+    }
+    const field = key.slice(prefix.length);
+    // Repeated tags (several og:image entries) become arrays
+    if (fields[field] === undefined) {
+      fields[field] = content;
+    } else {
+      fields[field] = [].concat(fields[field], content);
+    }
+  }
+  return fields;
+};
+
+const typesOf = (node) => [].concat(node['@type'] || []);
+
+// Parse every JSON-LD block, flatten arrays and @graph, keep the interesting types
+const extractJsonLd = (document) => {
+  const nodes = [];
+  const visit = (value) => {
+    if (Array.isArray(value)) {
+      value.forEach(visit);
+    } else if (value && typeof value === 'object') {
+      if (Array.isArray(value['@graph'])) {
+        value['@graph'].forEach(visit);
+      }
+      if (typesOf(value).some(type => KEPT_JSON_LD_TYPES.has(type))) {
+        nodes.push(value);
+      }
+    }
+  };
+
+  for (const script of document.querySelectorAll('script[type="application/ld+json"]')) {
+    try {
+      visit(JSON.parse(script.textContent));
+    } catch (error) {
+      // Broken JSON-LD is common; skip the block
+    }
+  }
+  return nodes;
+};
+
+// First value of a JSON-LD property across the article nodes
+const fromArticleJsonLd = (jsonLd, property) => {
+  const article = jsonLd.find(node => typesOf(node).some(type => JSON_LD_TYPES.article.includes(type)) && node[property]);
+  return article ? article[property] : null;
+};
+
+// JSON-LD images are a URL, an ImageObject or a list of either
+const jsonLdImageUrl = (image) => {
+  const first = Array.isArray(image) ? image[0] : image;
+  if (!first) {
+    return null;
+  }
+  return typeof first === 'string' ? first : first.url || first.contentUrl || null;
+};
+
+// Prefer the largest declared icon, then apple-touch-icon, then /favicon.ico
+const extractFavicon = (document, baseUrl) => {
+  const icons = [...document.querySelectorAll('link[rel~="icon" i], link[rel="shortcut icon" i], link[rel~="apple-touch-icon" i]')]
+    .map(link => ({
+      href: absoluteUrl(link.getAttribute('href'), baseUrl),
+      size: parseInt((link.getAttribute('sizes') || '').split('x')[0], 10) || 0
+    }))
+    .filter(icon => icon.href);
+
+  if (icons.length > 0) {
+    return icons.sort((a, b) => b.size - a.size)[0].href;
+  }
+  try {
+    return new URL('/favicon.ico', baseUrl).href;
+  } catch (error) {
+    return null;
+  }
+};
+
+const extractKeywords = (document, jsonLd) => {
+  const keywords = [];
+  const add = (value) => {
+    for (const keyword of [].concat(value || []).flatMap(item => String(item).split(','))) {
+      const trimmed = keyword.trim();
+      if (trimmed && !keywords.some(existing => existing.toLowerCase() === trimmed.toLowerCase())) {
+        keywords.push(trimmed);
+      }
+    }
+  };
+
+  add(metaContent(document, 'keywords'));
+  add(metaContent(document, 'news_keywords'));
+  for (const tag of document.querySelectorAll('meta[property="article:tag" i]')) {
+    add(tag.getAttribute('content'));
+  }
+  add(fromArticleJsonLd(jsonLd, 'keywords'));
+  return keywords;
+};
+
+/**
+ * Extract page metadata from a parsed document. Must run before content extraction,
+ * which mutates the document.
+ * @param {Document} document - JSDOM document
+ * @param {string} url - Page URL, used to resolve relative links
+ * @returns {Object} Metadata object
+ */
+export function extractMetadata(document, url) {
+  const openGraph = prefixedMeta(document, 'og:');
+  const twitter = prefixedMeta(document, 'twitter:');
+  const jsonLd = extractJsonLd(document);
+  const first = (value) => Array.isArray(value) ? value[0] : value;
+
+  const canonical = document.querySelector('link[rel="canonical" i]')?.getAttribute('href');
+
+  const published = [fromArticleJsonLd(jsonLd, 'datePublished'), ...PUBLISHED_META.map(key => metaContent(document, key)),
+    document.querySelector('time[datetime][pubdate], article time[datetime]')?.getAttribute('datetime')]
+    .map(toIsoDate).find(Boolean) || null;
+  const modified = [fromArticleJsonLd(jsonLd, 'dateModified'), ...MODIFIED_META.map(key => metaContent(document, key))]
+    .map(toIsoDate).find(Boolean) || null;
+
+  const image = [first(openGraph.image), first(openGraph['image:url']), first(twitter.image), first(twitter['image:src']),
+    jsonLdImageUrl(fromArticleJsonLd(jsonLd, 'image')), document.querySelector('link[rel="image_src" i]')?.getAttribute('href')]
+    .map(value => absoluteUrl(value, url)).find(Boolean) || null;
+
+  return {
+    canonical_url: absoluteUrl(canonical, url) || absoluteUrl(first(openGraph.url), url),
+    description: metaContent(document, 'description') || first(openGraph.description) || first(twitter.description) || null,
+    site_name: first(openGraph.site_name) || null,
+    lang: document.documentElement.getAttribute('lang') || null,
+    published_at: published,
+    modified_at: modified,
+    image,
+    favicon: extractFavicon(document, url),
+    keywords: extractKeywords(document, jsonLd),
+    open_graph: openGraph,
+    twitter,
+    json_ld: jsonLd
+  };
+}
@@ -1,9 +1,14 @@
 import { Readability } from '@mozilla/readability';
 import Defuddle from 'defuddle';
 import { JSDOM } from 'jsdom';
-import { NodeHtmlMarkdown } from 'node-html-markdown';
-import TurndownService from 'turndown';
 import { injectHeader } from './header-splice.js';
+import { extractMetadata } from './metadata.js';
+import { findSiteRule, removeRuleElements, selectRuleFields, selectRuleContent } from './site-rules.js';
+import { htmlToText, sanitizeHtml } from './formats.js';
+import { convertToMarkdown } from './markdown.js';
+import { contentSignals, detectPageMarkers, assessQuality, assertNotBlocked } from './quality.js';
+import { createError } from './errors.js';
+import { extractStructuredData } from './structured.js';
 import { config } from './config.js';
 
 // Logging utilities that respect config settings and include timestamps
@@ -19,59 +24,6 @@ const requestLog = (...args) => {
   }
 };
 
-// Bullet-proof HTML to Markdown conversion with timeouts and fallbacks
-const convertToMarkdown = async (html) => {
-  const withTimeout = (promise, timeoutMs, name) => {
-    return Promise.race([
-      promise,
-      new Promise((_, reject) => 
-        setTimeout(() => reject(new Error(`${name} timeout after ${timeoutMs}ms`)), timeoutMs)
-      )
-    ]);
-  };
-
-  const timeout = config.markdown.conversionTimeout;
-
-  // Step 1: Try node-html-markdown (fastest, zero-dependency)
-  try {
-    debugLog('Trying node-html-markdown...');
-    const markdown = await withTimeout(
-      Promise.resolve(NodeHtmlMarkdown.translate(html)),
-      timeout,
-      'node-html-markdown'
-    );
-    if (markdown && markdown.trim().length > 0) {
-      debugLog(`node-html-markdown success (${markdown.length} chars)`);
-      return markdown;
-    }
-  } catch (error) {
-    debugLog(`node-html-markdown failed: ${error.message}`);
-  }
-
-  // Step 2: Try turndown (mature, handles edge cases)
-  try {
-    debugLog('Trying turndown...');
-    const turndownService = new TurndownService(config.markdown.turndownOptions);
-    const markdown = await withTimeout(
-      Promise.resolve(turndownService.turndown(html)),
-      timeout,
-      'turndown'
-    );
-    if (markdown && markdown.trim().length > 0) {
-      debugLog(`turndown success (${markdown.length} chars)`);
-      return markdown;
-    }
-  } catch (error) {
-    debugLog(`turndown failed: ${error.message}`);
-  }
-
-  // Step 3: Last-resort plain-text fallback
-  debugLog('Using plain-text fallback...');
-  const textContent = html.replace(/<[^>]*>/g, '').replace(/\s+/g, ' ').trim();
-  debugLog(`Plain-text fallback (${textContent.length} chars)`);
-  return textContent;
-};
-
 // Parse article content using a single parser engine
 const parseArticleWithEngine = (document, engine) => {
   if (engine === 'defuddle') {
@@ -116,32 +68,84 @@ const normalizeLineBreaks = (text) => {
     .replace(/\n{3,}/g, '\n\n'); // Normalize multiple newlines to max 2
 };
 
-// Parse article content using configured parser engines and convert each to markdown
-const parseArticle = async (document) => {
-  const engines = config.parser.engines;
+// Available parser engines and the ways their results can be combined
+export const PARSER_ENGINES = ['defuddle', 'readability'];
+export const MERGE_STRATEGIES = ['first-success', 'best-score', 'concat', 'all'];
+
+// Content-quality heuristic: rewards prose (words, real paragraphs, headings) and
+// discounts link-heavy output such as navigation or link lists
+const scoreArticle = (article, markdown) => {
+  const { words, linkDensity, paragraphs, headings } = contentSignals(article.textContent || '', markdown);
+  if (words === 0) {
+    return 0;
+  }
+  return Math.round((words + paragraphs * 25 + headings * 10) * (1 - linkDensity));
+};
+
+// Run one engine on its own copy of the document (the parsers modify the DOM) and convert to markdown
+const runEngine = async (document, engine, markdownOptions) => {
+  let result;
+  try {
+    result = parseArticleWithEngine(document.cloneNode(true), engine);
+  } catch (error) {
+    requestLog(`${engine} extraction threw: ${error.message}`);
+    return null;
+  }
+  if (!result) {
+    requestLog(`${engine} extraction failed`);
+    return null;
+  }
+
+  // Convert this parser's content to markdown
+  requestLog(`Converting ${engine} result to markdown...`);
+  const { markdown, converter } = await convertToMarkdown(result.content, markdownOptions);
+
+  // Debug: Show raw markdown format
+  debugLog(`${engine} raw markdown contains: ${markdown.includes('\\n') ? 'escaped newlines' : 'actual newlines'}`);
+
+  const normalizedMarkdown = normalizeLineBreaks(markdown);
+  // Only log full markdown content when debug is enabled
+  if (config.logging.debug) {
+    console.log(`[${new Date().toISOString()}] ${engine} markdown result: "${result.title}"\n${normalizedMarkdown}`);
+  } else {
+    requestLog(`${engine} markdown result: "${result.title}" (${normalizedMarkdown.length} chars)`);
+  }
+
+  if (!normalizedMarkdown.trim()) {
+    requestLog(`${engine} produced no content`);
+    return null;
+  }
+
+  return { ...result, engine, converter, markdown: normalizedMarkdown, score: scoreArticle(result, normalizedMarkdown) };
+};
+
+// Per-engine output returned with the 'all' strategy
+const toEngineOutput = (result) => ({
+  engine: result.engine,
+  converter: result.converter,
+  score: result.score,
+  title: result.title || '',
+  byline: result.byline || '',
+  markdown: result.markdown,
+  excerpt: result.excerpt || null,
+  site_name: result.siteName || null,
+  lang: result.lang || null,
+  dir: result.dir || null,
+  length: result.length ?? null
+});
+
+// Parse article content with the selected engines and combine them with the merge strategy
+const parseArticle = async (document, { engines, merge }, markdownOptions) => {
   const results = [];
 
   for (const engine of engines) {
-    const result = parseArticleWithEngine(document, engine);
+    const result = await runEngine(document, engine, markdownOptions);
     if (result) {
-      // Convert this parser's content to markdown
-      requestLog(`Converting ${engine} result to markdown...`);
-      const markdown = await convertToMarkdown(result.content);
-      
-      // Debug: Show raw markdown format
-      debugLog(`${engine} raw markdown contains: ${markdown.includes('\\n') ? 'escaped newlines' : 'actual newlines'}`);
-      
-      const normalizedMarkdown = normalizeLineBreaks(markdown);
-      // Only log full markdown content when debug is enabled
-      if (config.logging.debug) {
-        console.log(`[${new Date().toISOString()}] ${engine} markdown result: "${result.title}"\n${normalizedMarkdown}`);
-      } else {
-        requestLog(`${engine} markdown result: "${result.title}" (${normalizedMarkdown.length} chars)`);
+      results.push(result);
+      // No need to run the remaining engines once one has succeeded
+      if (merge === 'first-success') {
+        break;
       }
-      
-      results.push({ ...result, markdown: normalizedMarkdown });
-    } else {
-      requestLog(`${engine} extraction failed`);
     }
   }
 
@@ -149,20 +153,57 @@ const parseArticle = async (document) => {
     return null;
   }
 
-  // Use first parser's metadata, concatenate markdown with 2 linebreaks
-  const firstResult = results[0];
-  const concatenatedMarkdown = results.map(r => r.markdown).join('\n\n');
+  const parser = {
+    merge,
+    engines: results.map(result => result.engine),
+    converters: results.map(result => result.converter),
+    selected: results[0].engine,
+    converter: results[0].converter
+  };
 
-  requestLog(`Combined markdown from ${engines.length} parser(s): (${concatenatedMarkdown.length} chars total)`);
+  if (merge === 'best-score') {
+    const best = results.reduce((top, result) => result.score > top.score ? result : top);
+    requestLog(`Best scoring parser: ${best.engine} (${results.map(result => `${result.engine}=${result.score}`).join(', ')})`);
+    return { ...best, parser: { ...parser, selected: best.engine, converter: best.converter } };
+  }
 
-  return {
-    ...firstResult,
-    markdown: concatenatedMarkdown
-  };
+  if (merge === 'concat') {
+    // Use first parser's metadata, concatenate markdown with 2 linebreaks
+    const concatenatedMarkdown = results.map(result => result.markdown).join('\n\n');
+    requestLog(`Combined markdown from ${results.length} parser(s): (${concatenatedMarkdown.length} chars total)`);
+    return {
+      ...results[0],
+      markdown: concatenatedMarkdown,
+      content: results.map(result => result.content).join('\n'),
+      parser: { ...parser, selected: null, converter: null }
+    };
+  }
+
+  if (merge === 'all') {
+    return { ...results[0], parser, outputs: results.map(toEngineOutput) };
+  }
+
+  return { ...results[0], parser };
 };
 
-// Main parsing function that handles the entire pipeline
-export const parseWebpage = async (html, url) => {
+/**
+ * Main parsing function that handles the entire pipeline
+ * @param {string} html - Rendered page HTML
+ * @param {string} url - Page URL
+ * @param {Object} options - Per-request crawl options
+ * @param {Object} options.parser - { engines, merge } overriding config.parser
+ * @param {Object} options.header - { enabled, selectors } overriding config.headerSplice and site rules
+ * @param {Array<string>} options.formats - Output formats (see OUTPUT_FORMATS), defaults to config.output.formats
+ * @param {Array<string>} options.extract - Structured data (see STRUCTURED_TYPES), defaults to config.output.extract
+ * @param {Object} options.markdown - { converters, rules, postProcessors } overriding config.markdown
+ * @param {number|null} options.status - HTTP status of the page response, used to classify the page
+ * @returns {Promise<Object>} Extraction result
+ * @throws {Error} PAGE_CHALLENGE or PAGE_BLOCKED for bot challenges and blocked pages,
+ *   EXTRACTION_FAILED when no parser produced content
+ */
+export const parseWebpage = async (html, url, { parser = {}, header = {}, formats = config.output.formats, extract = config.output.extract, markdown = {}, status = null } = {}) => {
+  const { engines = config.parser.engines, merge = config.parser.merge } = parser;
+  const markdownOptions = { ...markdown, baseUrl: url };
   requestLog('Starting webpage parsing pipeline');
   
   // Parse HTML with jsdom
@@ -171,27 +212,112 @@ export const parseWebpage = async (html, url) => {
   const document = dom.window.document;
   debugLog('DOM created');
 
-  // Inject header into DOM before Readability processing
+  // Read page metadata before the parsers and header splicing modify the document
+  const metadata = extractMetadata(document, url);
+  debugLog(`Metadata extracted (canonical: ${metadata.canonical_url || 'none'}, ${metadata.json_ld.length} JSON-LD object(s))`);
+
+  // Wall and challenge markers of the page as served, before anything is removed
+  const page = detectPageMarkers(document, metadata);
+
+  // Site rules take precedence over the generic pipeline
+  const rule = findSiteRule(url);
+  let ruleFields = { title: null, author: null, date: null };
+  if (rule) {
+    const removed = removeRuleElements(document, rule);
+    ruleFields = selectRuleFields(document, rule);
+    requestLog(`Applying site rule ${rule.name} (${removed} element(s) removed)`);
+  }
+
+  // Links, images and tables of the page as the site rule leaves it, before header splicing adds copies
+  const structured = extractStructuredData(document, url, extract);
+  debugLog(`Structured data extracted (${Object.entries(structured).map(([type, items]) => `${items.length} ${type}`).join(', ') || 'none requested'})`);
+
+  // Inject header into DOM before Readability processing (request > site rule > config)
+  const headerSettings = {
+    ...(rule && { enabled: rule.splice_header }),
+    ...(rule?.header_selectors && { selectors: rule.header_selectors }),
+    ...header
+  };
   debugLog('Injecting header into DOM...');
-  const headerResult = injectHeader(document);
-  debugLog(`Header injection completed - found: ${headerResult.headerFound ? `yes (${headerResult.headerTag})` : 'no'}`);
+  const headerResult = injectHeader(document, headerSettings);
+  debugLog(`Header injection completed - found: ${headerResult.headerFound ? `yes (${headerResult.element}, score ${headerResult.score})` : 'no'}`);
+
+  let article = null;
+  const ruleContent = rule ? selectRuleContent(document, rule) : null;
+  if (ruleContent) {
+    // The rule's content selector replaces the parser engines
+    requestLog(`Extracting article with site rule ${rule.name}...`);
+    const conversion = await convertToMarkdown(ruleContent.html, markdownOptions);
+    article = {
+      title: metadata.open_graph.title || document.title || '',
+      byline: '',
+      markdown: normalizeLineBreaks(conversion.markdown),
+      content: ruleContent.html,
+      textContent: ruleContent.textContent,
+      length: ruleContent.textContent.length,
+      parser: { merge: 'site-rule', engines: [], converters: [], selected: 'site-rule', converter: conversion.converter }
+    };
+  } else {
+    if (rule?.content) {
+      requestLog(`Site rule ${rule.name} content selector matched nothing, using parser engines`);
+    }
 
-  // Extract article content with configured parsers (now includes header)
-  requestLog(`Extracting article with ${config.parser.engines.join(', ')}...`);
-  const article = await parseArticle(document);
-  requestLog(`${config.parser.engines.join(', ')} extraction completed`);
+    // Extract article content with configured parsers (now includes header)
+    requestLog(`Extracting article with ${engines.join(', ')} (merge: ${merge})...`);
+    article = await parseArticle(document, { engines, merge }, markdownOptions);
+    requestLog(`${engines.join(', ')} extraction completed`);
+  }
+
+  // Classify before giving up on an empty extraction: challenges and blocks usually are one
+  const assessment = assessQuality({ article, page, status });
+  requestLog(`Page classified as ${assessment.pageType} (quality ${assessment.quality.score}${Object.keys(page.markers).length ? `, markers: ${Object.keys(page.markers).join(', ')}` : ''})`);
+  assertNotBlocked(assessment);
 
   if (!article) {
-    throw new Error('Failed to extract article content');
+    throw createError('EXTRACTION_FAILED', 'Failed to extract article content', { pageType: assessment.pageType });
+  }
+  requestLog(`Article extracted: "${ruleFields.title || article.title}"`);
+
+  // Requested output formats of the extracted article
+  const output = {};
+  if (formats.includes('markdown')) {
+    output.markdown = article.markdown;
+  }
+  if (formats.includes('html')) {
+    output.html = article.content;
+  }
+  if (formats.includes('cleanHtml')) {
+    output.cleanHtml = sanitizeHtml(article.content);
+  }
+  if (formats.includes('text')) {
+    output.text = htmlToText(article.content);
+  }
+  if (formats.includes('rawHtml')) {
+    output.rawHtml = html;
   }
-  requestLog(`Article extracted: "${article.title}"`);
 
   // Build final result object
   return {
     url: url,
-    title: article.title || '',
-    byline: article.byline || '',
-    markdown: article.markdown,
+    title: ruleFields.title || article.title || '',
+    byline: ruleFields.author || article.byline || '',
+    ...output,
+    ...structured,
+    metadata: {
+      ...metadata,
+      published_at: ruleFields.date || metadata.published_at,
+      // Parser findings fill the gaps left by the page's own metadata
+      description: metadata.description || article.excerpt || null,
+      site_name: metadata.site_name || article.siteName || null,
+      lang: metadata.lang || article.lang || null,
+      dir: article.dir || null,
+      length: article.length ?? null
+    },
+    pageType: assessment.pageType,
+    quality: assessment.quality,
+    parser: { ...article.parser, rule: rule?.name || null },
+    header: headerResult,
+    ...(article.outputs && { engines: article.outputs }),
     extracted_at: new Date().toISOString()
   };
 }; 
\ No newline at end of file
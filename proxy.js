@@ -0,0 +1,202 @@
+import fetch from 'node-fetch';
+import { HttpProxyAgent } from 'http-proxy-agent';
+import { HttpsProxyAgent } from 'https-proxy-agent';
+import { SocksProxyAgent } from 'socks-proxy-agent';
+import { config } from './config.js';
+
+// Logging utilities that respect config settings and include timestamps
+const debugLog = (...args) => {
+  if (config.logging.debug) {
+    console.log(`[${new Date().toISOString()}]`, ...args);
+  }
+};
+
+/**
+ * Upstream proxies - named pools of HTTP(S)/SOCKS proxies in config.proxy.pools.
+ * Each crawl picks a proxy from the request's pool (or the default pool) with the
+ * pool's rotation strategy and gets its own browser context routed through it, so
+ * concurrent pages can use different proxies on one browser. Server-side fetches
+ * (robots.txt, sitemaps, revalidation, callbacks, adblock lists) use the default pool;
+ * callbacks to config.urlPolicy.callbackTrustedHosts go direct.
+ */
+
+export const PROXY_STRATEGIES = ['round-robin', 'sticky', 'random'];
+
+const PROXY_PROTOCOLS = ['http:', 'https:', 'socks:', 'socks4:', 'socks5:'];
+
+// Round-robin position per pool
+const positions = new Map();
+
+// Sticky assignments: `${pool} ${host}` -> { index, expires }, least recently used first
+const stickyProxies = new Map();
+
+// Upper bound for sticky assignments; the least recently used go first beyond it
+const MAX_STICKY_PROXIES = 10000;
+
+// Fetch agents per proxy URL and target protocol
+const agents = new Map();
+
+// Parse a proxy URL into what the browser and the fetch agents need
+const parseProxy = (pool, value) => {
+  const parsed = new URL(value);
+  if (!PROXY_PROTOCOLS.includes(parsed.protocol)) {
+    throw new Error(`Unsupported proxy protocol ${parsed.protocol} in pool ${pool}`);
+  }
+  return {
+    pool,
+    url: parsed.href,
+    // Chromium takes credentials separately, never in --proxy-server
+    server: `${parsed.protocol}//${parsed.host}`,
+    username: decodeURIComponent(parsed.username) || null,
+    password: decodeURIComponent(parsed.password) || null
+  };
+};
+
+/**
+ * Check every configured proxy URL and strategy, so a typo fails at startup
+ * instead of on every crawl
+ * @throws {Error} Describing the first invalid entry
+ */
+export function validateProxyPools() {
+  const { pools, defaultPool, strategy } = config.proxy;
+  for (const [name, pool] of Object.entries(pools)) {
+    if (!PROXY_STRATEGIES.includes(pool.strategy || strategy)) {
+      throw new Error(`Unknown proxy strategy ${pool.strategy || strategy} in pool ${name}`);
+    }
+    for (const value of pool.proxies) {
+      try {
+        parseProxy(name, value);
+      } catch (error) {
+        throw new Error(`Invalid proxy in pool ${name}: ${error.message}`);
+      }
+    }
+  }
+  if (defaultPool && !pools[defaultPool]) {
+    throw new Error(`Default proxy pool ${defaultPool} is not configured`);
+  }
+}
+
+/**
+ * Names of the configured pools
+ * @returns {Array<string>}
+ */
+export function proxyPoolNames() {
+  return Object.keys(config.proxy.pools).filter(name => config.proxy.pools[name].proxies.length > 0);
+}
+
+// Drop expired sticky assignments
+const pruneStickyProxies = () => {
+  const now = Date.now();
+  for (const [key, sticky] of stickyProxies) {
+    if (sticky.expires <= now) {
+      stickyProxies.delete(key);
+    }
+  }
+};
+
+setInterval(pruneStickyProxies, 60 * 1000).unref();
+
+/**
+ * Pick a proxy for a URL from a pool with the pool's rotation strategy
+ * @param {string} url - URL that will be requested (sticky pools keep a host on one proxy)
+ * @param {Object} options
+ * @param {string} options.pool - Pool name, defaults to config.proxy.defaultPool
+ * @returns {Object|null} { pool, url, server, username, password }, or null to connect directly
+ */
+export function selectProxy(url, { pool = config.proxy.defaultPool } = {}) {
+  const settings = pool ? config.proxy.pools[pool] : null;
+  if (!settings || settings.proxies.length === 0) {
+    return null;
+  }
+  const { proxies, strategy = config.proxy.strategy } = settings;
+
+  let index;
+  if (strategy === 'random') {
+    index = Math.floor(Math.random() * proxies.length);
+  } else if (strategy === 'sticky') {
+    const key = `${pool} ${new URL(url).hostname}`;
+    const sticky = stickyProxies.get(key);
+    if (sticky && sticky.expires > Date.now() && sticky.index < proxies.length) {
+      index = sticky.index;
+    } else {
+      // New hosts are spread over the pool round-robin
+      index = (positions.get(pool) || 0) % proxies.length;
+      positions.set(pool, index + 1);
+    }
+    // Re-inserted so the map stays ordered by last use
+    stickyProxies.delete(key);
+    stickyProxies.set(key, { index, expires: Date.now() + config.proxy.stickyTtl });
+    if (stickyProxies.size > MAX_STICKY_PROXIES) {
+      stickyProxies.delete(stickyProxies.keys().next().value);
+    }
+  } else {
+    index = (positions.get(pool) || 0) % proxies.length;
+    positions.set(pool, index + 1);
+  }
+
+  const proxy = parseProxy(pool, proxies[index]);
+  debugLog(`Using proxy ${proxy.server} from pool ${pool} (${strategy})`);
+  return proxy;
+}
+
+/**
+ * fetch agent that tunnels through a proxy
+ * @param {Object} proxy - Result of selectProxy
+ * @param {string} protocol - Target protocol ('http:' or 'https:')
+ * @returns {Agent}
+ */
+export function proxyAgent(proxy, protocol) {
+  const key = `${proxy.url} ${protocol}`;
+  if (!agents.has(key)) {
+    let agent;
+    if (proxy.url.startsWith('socks')) {
+      agent = new SocksProxyAgent(proxy.url);
+    } else if (protocol === 'https:') {
+      agent = new HttpsProxyAgent(proxy.url, { keepAlive: true });
+    } else {
+      agent = new HttpProxyAgent(proxy.url, { keepAlive: true });
+    }
+    agents.set(key, agent);
+  }
+  return agents.get(key);
+}
+
+/**
+ * Proxy agent for a server-side fetch, or null when such fetches go direct
+ * @param {string} url - URL to fetch
+ * @returns {Agent|null}
+ */
+export function fetchProxyAgent(url) {
+  if (!config.proxy.routeFetches) {
+    return null;
+  }
+  const proxy = selectProxy(url);
+  return proxy ? proxyAgent(proxy, new URL(url).protocol) : null;
+}
+
+/**
+ * node-fetch routed through the default pool (for libraries that take a fetch function)
+ * @param {string} url
+ * @param {Object} init - fetch options
+ * @returns {Promise<Response>}
+ */
+export function proxiedFetch(url, init = {}) {
+  const agent = fetchProxyAgent(String(url));
+  return fetch(url, agent ? { ...init, agent } : init);
+}
+
+/**
+ * Pool summary for /health (no proxy URLs, they may hold credentials)
+ * @returns {Object} { defaultPool, stickyHosts, pools: { name: { proxies, strategy } } }
+ */
+export function getProxyStats() {
+  pruneStickyProxies();
+  return {
+    defaultPool: config.proxy.defaultPool,
+    stickyHosts: stickyProxies.size,
+    pools: Object.fromEntries(Object.entries(config.proxy.pools).map(([name, pool]) => [
+      name,
+      { proxies: pool.proxies.length, strategy: pool.strategy || config.proxy.strategy }
+    ]))
+  };
+}
@@ -0,0 +1,150 @@
+import { config } from './config.js';
+import { createError } from './errors.js';
+
+/**
+ * Content quality - scores an extraction and classifies the page so callers can tell
+ * a real article from a paywall stub, consent wall, bot challenge or soft 404. Walls,
+ * blocks and challenges are recognized from config.quality.markers (CSS selectors and
+ * phrases) and the HTTP status, but only when little content was extracted, so an
+ * article that merely mentions "access denied" or carries a captcha-protected
+ * newsletter form is still an article.
+ */
+
+export const PAGE_TYPES = ['article', 'listing', 'thin', 'paywall', 'consent', 'challenge', 'blocked', 'not-found', 'error'];
+
+// Page types that fail the crawl, with their error codes
+const FAILING_TYPES = {
+  challenge: { code: 'PAGE_CHALLENGE', message: 'Page is a bot challenge (captcha or browser check)' },
+  blocked: { code: 'PAGE_BLOCKED', message: 'Access to the page was blocked' }
+};
+
+// Page types that hold no usable content whatever the extraction looked like
+const NON_CONTENT_TYPES = ['paywall', 'consent', 'challenge', 'blocked', 'not-found', 'error'];
+
+const MARKER_TYPES = ['challenge', 'blocked', 'notFound', 'paywall', 'consent'];
+
+/**
+ * Text statistics of extracted content
+ * @param {string} text - Plain text of the content
+ * @param {string} markdown - Markdown of the content
+ * @returns {Object} { words, textLength, linkDensity, paragraphs, headings }
+ */
+export function contentSignals(text = '', markdown = '') {
+  const textLength = text.replace(/\s+/g, ' ').trim().length;
+  const linkText = [...markdown.matchAll(/\[([^\]]*)\]\([^)]*\)/g)].reduce((sum, match) => sum + match[1].length, 0);
+
+  return {
+    words: text.split(/\s+/).filter(Boolean).length,
+    textLength,
+    linkDensity: Math.min(1, linkText / Math.max(textLength, 1)),
+    // Blocks of at least 20 words count as real paragraphs
+    paragraphs: markdown.split(/\n{2,}/).filter(block => block.trim().split(/\s+/).length >= 20).length,
+    headings: (markdown.match(/^#{1,6}\s/gm) || []).length
+  };
+}
+
+/**
+ * Find wall, block and challenge markers in the page as loaded, before any
+ * extraction step modifies the document
+ * @param {Document} document - JSDOM document
+ * @param {Object} metadata - Result of extractMetadata
+ * @returns {Object} { markers: { type: [matched selector or phrase] }, bodyText }
+ */
+export function detectPageMarkers(document, metadata) {
+  const title = (document.title || '').toLowerCase();
+  const bodyText = (document.body?.textContent || '').replace(/\s+/g, ' ').trim();
+  const haystack = `${title} ${bodyText.toLowerCase()}`;
+  const markers = {};
+
+  for (const type of MARKER_TYPES) {
+    const { selectors = [], phrases = [] } = config.quality.markers[type] || {};
+    const matched = [
+      ...selectors.filter(selector => {
+        try {
+          return Boolean(document.querySelector(selector));
+        } catch (error) {
+          return false;
+        }
+      }),
+      ...phrases.filter(phrase => haystack.includes(phrase.toLowerCase()))
+    ];
+    if (matched.length > 0) {
+      markers[type] = matched;
+    }
+  }
+
+  // Schema.org marks paywalled articles as not accessible for free
+  if (metadata.json_ld.some(item => [false, 'false', 'False'].includes(item.isAccessibleForFree))) {
+    markers.paywall = [...(markers.paywall || []), 'isAccessibleForFree=false'];
+  }
+
+  return { markers, bodyText };
+}
+
+// Page type from the status, the markers and the extracted content
+const classify = ({ status, markers, signals, extracted }) => {
+  const settings = config.quality;
+  // Real articles can mention any marker phrase; only short extractions are suspect
+  const short = signals.textLength < settings.minArticleLength;
+
+  if (short && markers.challenge) return 'challenge';
+  if (short && (markers.blocked || settings.blockedStatuses.includes(status))) return 'blocked';
+  if (status === 404 || status === 410 || (short && markers.notFound)) return 'not-found';
+  if (status >= 500) return 'error';
+  if (short && markers.paywall) return 'paywall';
+  if (short && markers.consent) return 'consent';
+  if (!extracted || signals.textLength < settings.minTextLength) return 'thin';
+  if (signals.linkDensity > settings.maxLinkDensity) return 'listing';
+  return 'article';
+};
+
+/**
+ * Score the extraction and classify the page
+ * @param {Object} input
+ * @param {Object|null} input.article - Extracted article ({ textContent, markdown }), null when extraction failed
+ * @param {Object} input.page - Result of detectPageMarkers
+ * @param {number|null} input.status - HTTP status of the page response
+ * @returns {Object} { pageType, quality: { score, status, text_length, words, paragraphs, link_density, markers } }
+ */
+export function assessQuality({ article, page, status = null }) {
+  // Without an article the whole page text is all there is to judge
+  const signals = article
+    ? contentSignals(article.textContent, article.markdown)
+    : contentSignals(page.bodyText, '');
+  const pageType = classify({ status, markers: page.markers, signals, extracted: Boolean(article) });
+
+  // Length, paragraph structure and prose share, capped for pages without usable content
+  const lengthScore = Math.min(1, signals.textLength / (config.quality.minArticleLength * 2));
+  const paragraphScore = Math.min(1, signals.paragraphs / 5);
+  let score = Math.round(100 * (lengthScore * 0.5 + paragraphScore * 0.25 + (1 - signals.linkDensity) * 0.25));
+  if (!article) {
+    score = 0;
+  } else if (NON_CONTENT_TYPES.includes(pageType)) {
+    score = Math.min(score, 20);
+  }
+
+  return {
+    pageType,
+    quality: {
+      score,
+      status,
+      text_length: signals.textLength,
+      words: signals.words,
+      paragraphs: signals.paragraphs,
+      link_density: Math.round(signals.linkDensity * 100) / 100,
+      markers: page.markers
+    }
+  };
+}
+
+/**
+ * Throw the page type's error when it fails the crawl (challenges and blocks)
+ * @param {Object} assessment - Result of assessQuality
+ */
+export function assertNotBlocked({ pageType, quality }) {
+  const failure = FAILING_TYPES[pageType];
+  if (failure) {
+    const status = quality.status ? ` (HTTP ${quality.status})` : '';
+    throw createError(failure.code, `${failure.message}${status}`, { statusCode: 502, pageType, quality });
+  }
+}
@@ -0,0 +1,209 @@
+import { config } from './config.js';
+import { policyFetch } from './url-policy.js';
+
+// Logging utilities that respect config settings and include timestamps
+const debugLog = (...args) => {
+  if (config.logging.debug) {
+    console.log(`[${new Date().toISOString()}]`, ...args);
+  }
+};
+
+/**
+ * robots.txt - fetching, caching and rule matching (RFC 9309)
+ *
+ * Rules are evaluated for config.politeness.robotsToken: the group naming that token
+ * wins over the `*` group, the longest matching path wins, and Allow wins ties.
+ * A missing robots.txt (4xx) allows everything; an unreachable one (5xx or network
+ * error) follows config.politeness.robotsUnavailable ('allow' or 'disallow').
+ */
+
+// Parsed robots.txt per origin: { robots, expires }
+const robotsCache = new Map();
+// In-flight fetches so concurrent crawls of one origin share a request
+const pendingFetches = new Map();
+
+/**
+ * Parse robots.txt into groups of user-agents with their rules
+ * @param {string} text - robots.txt content
+ * @returns {Object} { groups: [{ agents, rules, crawlDelay }], sitemaps }
+ */
+export function parseRobots(text) {
+  const groups = [];
+  const sitemaps = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const match = line.match(/^([a-z-]+)\s*:\s*(.*)$/i);
+    if (!match) {
+      continue;
+    }
+    const field = match[1].toLowerCase();
+    const value = match[2].trim();
+
+    if (field === 'sitemap') {
+      sitemaps.push(value);
+      continue;
+    }
+
+    if (field === 'user-agent') {
+      // Consecutive user-agent lines share one group
+      if (!lastWasAgent) {
+        current = { agents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+
+    lastWasAgent = false;
+    if (!current) {
+      continue;
+    }
+    if ((field === 'allow' || field === 'disallow') && value) {
+      current.rules.push({ allow: field === 'allow', path: value });
+    } else if (field === 'crawl-delay') {
+      const seconds = parseFloat(value);
+      if (Number.isFinite(seconds) && seconds >= 0) {
+        current.crawlDelay = seconds;
+      }
+    }
+  }
+
+  return { groups, sitemaps };
+}
+
+// Convert a robots path pattern (`*` wildcard, `$` end anchor) to a RegExp
+const patternToRegExp = (pattern) => {
+  const anchored = pattern.endsWith('$');
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+};
+
+// Product token of a User-agent value ("ExampleBot/2.1" -> "examplebot")
+const productToken = (agent) => agent.split(/[/\s]/)[0];
+
+// Pick the groups naming our product token (RFC 9309: case-insensitive, whole token),
+// falling back to the `*` group only when none does
+const selectGroup = (robots, token) => {
+  const lowerToken = productToken(token.toLowerCase());
+  const specific = robots.groups.filter(group => group.agents.some(agent => agent !== '*' && productToken(agent) === lowerToken));
+  if (specific.length > 0) {
+    return {
+      rules: specific.flatMap(group => group.rules),
+      crawlDelay: specific.find(group => group.crawlDelay !== null)?.crawlDelay ?? null
+    };
+  }
+  const wildcard = robots.groups.filter(group => group.agents.includes('*'));
+  return {
+    rules: wildcard.flatMap(group => group.rules),
+    crawlDelay: wildcard.find(group => group.crawlDelay !== null)?.crawlDelay ?? null
+  };
+};
+
+/**
+ * Evaluate parsed robots rules for a URL
+ * @param {Object} robots - Result of parseRobots (or { allowAll } / { disallowAll })
+ * @param {string} url - Absolute URL
+ * @param {string} token - Robots user-agent token
+ * @returns {Object} { allowed, crawlDelay (seconds or null) }
+ */
+export function evaluateRobots(robots, url, token = config.politeness.robotsToken) {
+  if (robots.allowAll) {
+    return { allowed: true, crawlDelay: null };
+  }
+  if (robots.disallowAll) {
+    return { allowed: false, crawlDelay: null };
+  }
+
+  const parsed = new URL(url);
+  const path = `${parsed.pathname}${parsed.search}`;
+  const group = selectGroup(robots, token);
+
+  // /robots.txt itself is always allowed
+  if (parsed.pathname === '/robots.txt') {
+    return { allowed: true, crawlDelay: group.crawlDelay };
+  }
+
+  let best = null;
+  for (const rule of group.rules) {
+    if (!patternToRegExp(rule.path).test(path)) {
+      continue;
+    }
+    if (!best || rule.path.length > best.path.length || (rule.path.length === best.path.length && rule.allow)) {
+      best = rule;
+    }
+  }
+
+  return { allowed: !best || best.allow, crawlDelay: group.crawlDelay };
+}
+
+const fetchRobots = async (origin) => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), config.politeness.robotsFetchTimeout);
+  const unavailable = config.politeness.robotsUnavailable === 'disallow' ? { disallowAll: true } : { allowAll: true };
+
+  try {
+    const response = await policyFetch(`${origin}/robots.txt`, {
+      headers: { 'User-Agent': config.politeness.userAgent },
+      signal: controller.signal
+    });
+    if (response.status >= 400 && response.status < 500) {
+      await response.arrayBuffer().catch(() => {});
+      return { allowAll: true, sitemaps: [] };
+    }
+    if (!response.ok) {
+      await response.arrayBuffer().catch(() => {});
+      debugLog(`robots.txt for ${origin} returned ${response.status}`);
+      return { ...unavailable, sitemaps: [] };
+    }
+    // Cap the body at 500 KiB as recommended by RFC 9309
+    const text = (await response.text()).slice(0, 500 * 1024);
+    return parseRobots(text);
+  } catch (error) {
+    debugLog(`robots.txt for ${origin} unavailable: ${error.message}`);
+    return { ...unavailable, sitemaps: [] };
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+/**
+ * Fetch (or reuse the cached) robots.txt of a URL's origin
+ * @param {string} url - Any URL on the origin
+ * @returns {Promise<Object>} Parsed robots (see parseRobots), possibly { allowAll } / { disallowAll }
+ */
+export async function getRobots(url) {
+  const origin = new URL(url).origin;
+
+  const cached = robotsCache.get(origin);
+  if (cached && cached.expires > Date.now()) {
+    return cached.robots;
+  }
+  if (pendingFetches.has(origin)) {
+    return pendingFetches.get(origin);
+  }
+
+  const pending = fetchRobots(origin)
+    .then((robots) => {
+      robotsCache.set(origin, { robots, expires: Date.now() + config.politeness.robotsCacheTtl });
+      return robots;
+    })
+    .finally(() => pendingFetches.delete(origin));
+  pendingFetches.set(origin, pending);
+  return pending;
+}
+
+/**
+ * Check a URL against its site's robots.txt
+ * @param {string} url - Absolute URL
+ * @returns {Promise<Object>} { allowed, crawlDelay (seconds or null) }
+ */
+export async function checkRobots(url) {
+  return evaluateRobots(await getRobots(url), url);
+}
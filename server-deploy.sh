@@ -151,6 +151,8 @@ NODE_ENV=production
 PORT=${PORT}
 HOST=127.0.0.1
 HEADLESS=true
+# Laravel receives callbacks on localhost; exempt it from the SSRF address check
+CALLBACK_TRUSTED_HOSTS=localhost,127.0.0.1
 # Temporary debug logging for deployment validation
 DEBUG_DEPLOY=${DEBUG_DEPLOY:-false}
 EOF
@@ -1,21 +1,36 @@
 import Fastify from 'fastify';
-import fetch from 'node-fetch';
-import { PuppeteerBlocker } from '@ghostery/adblocker-puppeteer';
-// Conditional browser import based on Camoufox setting
 import { config } from './config.js';
-let browserModule;
-if (config.browser.asCamoufox) {
-  browserModule = await import('./puppeteer-browser.js');
-} else {
-  browserModule = await import('./browser.js');
-}
-const { getBrowser, createPage, shutdownBrowser, getBrowserStats } = browserModule;
-import { parseWebpage } from './parser.js';
+import { crawlUrl } from './crawler.js';
+import { driverFor, shutdownBrowsers, getDriverStats } from './browser-driver.js';
+import {
+  startJobQueue,
+  registerJobHandler,
+  enqueueJob,
+  getJob,
+  cancelJob,
+  toJobStatus,
+  getJobQueueStats
+} from './job-queue.js';
+import { startAuth, registerAuth, flushUsage, getKeyUsage, isAuthEnabled } from './auth.js';
+import { assertUrlAllowed } from './url-policy.js';
+import { parseBatchRequest, processBatch, getBatchResult, cleanupBatch } from './batch.js';
+import { parseSiteCrawlRequest, processSiteCrawl, getSiteCrawlResults, cleanupSiteCrawl } from './site-crawler.js';
+import { deliverCallback, listDeadLetters, getDeadLetter, replayDeadLetter } from './callback.js';
+import { validateCrawlOptions } from './crawl-options.js';
+import { getHostLimiterStats } from './host-limiter.js';
+import { getCacheStats } from './cache.js';
+import { startSiteRules, getSiteRuleStats } from './site-rules.js';
+import { openArtifact } from './artifacts.js';
+import { validateProxyPools, getProxyStats } from './proxy.js';
+import { SESSION_NAME, listSessions, getSession, importSession, deleteSession, validateStorageState } from './sessions.js';
 
 const fastify = Fastify({
   logger: true
 });
 
+// Require an API key on every route unless the route opts out
+registerAuth(fastify);
+
 // Logging utilities that respect config settings and include timestamps
 const debugLog = (...args) => {
   if (config.logging.debug) {
@@ -47,9 +62,15 @@ const gracefulShutdown = async (signal) => {
   }, 1000);
   
   try {
-    // Close browser quickly (most important cleanup)
+    await flushUsage();
+  } catch (error) {
+    console.log(`[${new Date().toISOString()}] Error saving API key usage: ${error.message}`);
+  }
+  
+  try {
+    // Close browsers quickly (most important cleanup)
     console.log(`[${new Date().toISOString()}] Closing browser...`);
-    await shutdownBrowser();
+    await shutdownBrowsers();
     console.log(`[${new Date().toISOString()}] Browser closed`);
   } catch (error) {
     console.log(`[${new Date().toISOString()}] Error closing browser: ${error.message}`);
@@ -73,38 +94,90 @@ const logError = (error, context = '') => {
   }
 };
 
-// Health check endpoint with browser stats
-fastify.get('/health', async (request, reply) => {
-  const stats = getBrowserStats();
+// Send an error response, honouring the status code and Retry-After hint carried by the error
+const sendError = (reply, error, fallbackStatus = 500) => {
+  if (error.retryAfter) {
+    reply.header('Retry-After', String(error.retryAfter));
+  }
+  const body = { error: error.message };
+  if (error.code) {
+    body.code = error.code;
+  }
+  // Failed page actions report every step that ran
+  if (error.actions) {
+    body.actions = error.actions;
+  }
+  return reply.status(error.statusCode || fallbackStatus).send(body);
+};
+
+// API key a crawl runs for; named sessions are scoped to it (see sessions.js)
+const sessionOwner = (request) => request.apiKey?.id ?? null;
+
+// Jobs and dead letters belong to the key that created them; admin keys see all
+const canAccess = (request, owner) => !isAuthEnabled() || request.apiKey.admin || owner === request.apiKey.id;
+
+// A job the caller may see, or null (other keys' jobs look unknown)
+const accessibleJob = (request, type = null) => {
+  const job = getJob(request.params.id);
+  if (!job || (type && job.type !== type) || !canAccess(request, job.payload?.owner)) {
+    return null;
+  }
+  return job;
+};
+
+// Health check endpoint with browser stats (details only for authenticated callers)
+fastify.get('/health', { config: { auth: 'optional' } }, async (request, reply) => {
+  if (isAuthEnabled() && !request.apiKey) {
+    return { status: 'ok', timestamp: new Date().toISOString() };
+  }
+
+  const stats = driverFor().getBrowserStats();
   
   return {
     status: 'ok',
     timestamp: new Date().toISOString(),
     browser: {
+      driver: config.browser.driver,
       initialized: !!stats.isInitialized,
       requestCount: stats.requestCount,
       ageMinutes: stats.ageMinutes,
       maxRequests: stats.maxRequests,
-      maxAgeMinutes: Math.round(stats.maxAgeMs / 1000 / 60)
+      maxAgeMinutes: Math.round(stats.maxAgeMs / 1000 / 60),
+      pages: stats.pagePool,
+      drivers: getDriverStats()
     },
+    jobs: getJobQueueStats(),
+    // Which hosts are being crawled, for any key, is for admins only
+    ...((!isAuthEnabled() || request.apiKey.admin) && { hosts: getHostLimiterStats() }),
+    cache: await getCacheStats(),
+    siteRules: getSiteRuleStats(),
+    proxy: getProxyStats(),
     config: {
       debug: config.logging.debug,
-      parser: config.parser.engines,
+      parser: config.parser,
       navigationTimeout: config.page.navigationTimeout,
-      conversionTimeout: config.markdown.conversionTimeout,
-      asCamoufox: config.browser.asCamoufox
+      conversionTimeout: config.markdown.conversionTimeout
     }
   };
 });
 
+// GET /usage - usage counters and remaining quota of the calling API key
+fastify.get('/usage', async (request, reply) => {
+  if (!request.apiKey) {
+    return reply.status(404).send({ error: 'Authentication is disabled' });
+  }
+  return getKeyUsage(request.apiKey.id);
+});
+
 // Minimal synchronous test endpoint to validate browser and parsing pipeline
 fastify.get('/test-crawl', async (request, reply) => {
   const testUrl = 'https://ip.sidn.nl/';
+  const driver = driverFor();
   let page;
   try {
-    const browser = await getBrowser();
-    page = await createPage(browser);
-    await page.goto(testUrl, { waitUntil: config.page.waitUntil });
+    const browser = await driver.getBrowser();
+    page = await driver.createPage(browser);
+    await driver.goto(page, testUrl, { waitUntil: config.page.waitUntil });
 
     const title = await page.title();
     let ip = '';
@@ -122,101 +195,59 @@ fastify.get('/test-crawl', async (request, reply) => {
     });
   } catch (err) {
     logError(err, 'test-crawl');
-    return reply.code(500).send({ ok: false, error: err.message });
+    if (err.retryAfter) {
+      reply.header('Retry-After', String(err.retryAfter));
+    }
+    return reply.code(err.statusCode || 500).send({ ok: false, error: err.message });
   } finally {
-    try { if (page) await page.close(); } catch (_) {}
+    try { if (page) await driver.closePage(page); } catch (_) {}
   }
 });
 
-// Background crawling function
-const processCrawlRequest = async (url, callback_url, test) => {
-  let page;
-
-  try {
-    const stats = getBrowserStats();
-    requestLog(`Starting background crawl for: ${url} (request #${stats.requestCount})`);
-    
-    // Get persistent browser instance
-    debugLog('Getting browser instance...');
-    const browser = await getBrowser();
-
-    page = await createPage(browser);
-    debugLog('New page created');
-
-    // Set up Ghostery adblocker (Puppeteer only)
-    if (!config.browser.asCamoufox) {
-      debugLog('Setting up Ghostery adblocker...');
-      const blocker = await PuppeteerBlocker.fromPrebuiltAdsAndTracking(fetch);
-      await blocker.enableBlockingInPage(page);
-      debugLog('Adblocker enabled');
-    } else {
-      debugLog('Skipping adblocker (Camoufox has built-in ad blocking)');
-    }
+// Background crawl job handler - throws so the job is recorded as failed
+const processCrawlRequest = async (job) => {
+  const { url, callback_url, test, options = {}, owner = null } = job.payload;
 
-    // Navigate to URL
-    debugLog('Navigating to URL...');
-    await page.goto(url, { waitUntil: config.page.waitUntil });
-    debugLog('Navigation completed');
-
-    // Get fully rendered HTML
-    debugLog('Getting page content...');
-    const html = await page.content();
-    debugLog(`HTML content retrieved (${html.length} chars)`);
-
-    // Parse webpage using the parser module
-    debugLog('Processing webpage with parser module...');
-    const result = await parseWebpage(html, url);
-    debugLog('Webpage parsing completed');
-
-    // Handle test mode vs callback
-    if (test) {
-      requestLog(`Test mode - Article extracted: "${result.title}" (${result.markdown.length} chars)`);
-      // Only log full JSON result when debug is enabled
-      if (config.logging.debug) {
-        console.log(JSON.stringify(result, null, 2));
-      }
-    } else {
-      requestLog('Production mode - posting to callback...');
-      // POST to callback URL
-      try {
-        const response = await fetch(callback_url, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify(result)
-        });
-
-        if (!response.ok) {
-          logError(new Error(`Callback request failed with status ${response.status}`), 'Callback');
-        } else {
-          requestLog('Successfully posted to callback');
-        }
-      } catch (callbackError) {
-        logError(callbackError, 'Callback');
-      }
-    }
+  const result = await crawlUrl(url, { ...options, owner, background: true });
 
-  } catch (error) {
-    logError(error, 'Background crawling');
-  } finally {
-    // Clean up page resources (keep browser alive)
-    debugLog('Starting page cleanup...');
-    try {
-      if (page) {
-        debugLog('Closing page...');
-        await page.close();
-      }
-      debugLog('Page cleanup completed successfully');
-    } catch (cleanupError) {
-      logError(cleanupError, 'Page cleanup');
+  // Handle test mode vs callback
+  if (test) {
+    requestLog(`Test mode - Article extracted: "${result.title}" (${result.markdown?.length ?? 0} markdown chars)`);
+    // Only log full JSON result when debug is enabled
+    if (config.logging.debug) {
+      console.log(JSON.stringify(result, null, 2));
     }
+    return {
+      title: result.title,
+      markdown_length: result.markdown?.length ?? null,
+      status: result.response?.status ?? null,
+      final_url: result.response?.final_url ?? null,
+      cache: result.cache.status
+    };
   }
+
+  requestLog('Production mode - posting to callback...');
+  // POST to callback URL (retried, dead-lettered when it keeps failing)
+  const delivery = await deliverCallback(callback_url, result, { job_id: job.id, owner });
+
+  return {
+    title: result.title,
+    markdown_length: result.markdown?.length ?? null,
+    status: result.response?.status ?? null,
+    final_url: result.response?.final_url ?? null,
+    cache: result.cache.status,
+    callback_status: delivery.status,
+    callback_attempts: delivery.attempts
+  };
 };
 
+registerJobHandler('crawl', processCrawlRequest);
+registerJobHandler('batch', processBatch, { cleanup: cleanupBatch });
+registerJobHandler('site-crawl', processSiteCrawl, { cleanup: cleanupSiteCrawl });
+
 // POST /crawl endpoint
 fastify.post('/crawl', async (request, reply) => {
-  const { url, callback_url, test = false } = request.body;
+  const { url, callback_url, test = false, options = {} } = request.body;
 
   // Input validation
   if (!url || typeof url !== 'string') {
@@ -227,55 +258,293 @@ fastify.post('/crawl', async (request, reply) => {
     return reply.status(400).send({ error: 'callback_url is required when test is false' });
   }
 
+  const optionsError = validateCrawlOptions(options);
+  if (optionsError) {
+    return reply.status(400).send({ error: optionsError });
+  }
+
+  try {
+    await assertUrlAllowed(url, { kind: 'target' });
+    if (!test) {
+      await assertUrlAllowed(callback_url, { kind: 'callback' });
+    }
+  } catch (error) {
+    return sendError(reply, error, 400);
+  }
+
   requestLog(`Crawl request received for: ${url} (test: ${test})`);
 
-  // Start background processing (fire-and-forget)
-  processCrawlRequest(url, callback_url, test).catch(error => {
-    logError(error, 'Background processing');
+  // Persist the job before answering so it survives restarts
+  let job;
+  try {
+    job = await enqueueJob('crawl', { url, callback_url, test, options, owner: sessionOwner(request) });
+  } catch (error) {
+    logError(error, 'Enqueue crawl');
+    return sendError(reply, error);
+  }
+
+  requestLog(`Responding immediately to client (job ${job.id})`);
+  return reply.status(202).send({
+    message: 'Request accepted, processing in background',
+    job_id: job.id,
+    status_url: `/jobs/${job.id}`
+  });
+});
+
+// POST /crawl-batch - crawl many URLs as one job with a single summary callback
+fastify.post('/crawl-batch', async (request, reply) => {
+  const { payload, error, invalid } = await parseBatchRequest(request.body);
+  if (error) {
+    return reply.status(400).send(invalid ? { error, invalid } : { error });
+  }
+
+  requestLog(`Batch request received for ${payload.items.length} URL(s) (test: ${payload.test})`);
+
+  let job;
+  try {
+    job = await enqueueJob('batch', { ...payload, owner: sessionOwner(request) });
+  } catch (enqueueError) {
+    logError(enqueueError, 'Enqueue batch');
+    return sendError(reply, enqueueError);
+  }
+
+  return reply.status(202).send({
+    message: 'Batch accepted, processing in background',
+    batch_id: job.id,
+    status_url: `/batches/${job.id}`
   });
+});
 
-  // Immediately respond to client
-  requestLog('Responding immediately to client');
-  return reply.status(202).send({ message: 'Request accepted, processing in background' });
+// GET /batches/:id - batch state with per-URL progress
+fastify.get('/batches/:id', async (request, reply) => {
+  const job = accessibleJob(request, 'batch');
+  if (!job) {
+    return reply.status(404).send({ error: 'Batch not found' });
+  }
+
+  const { url, ...status } = toJobStatus(job);
+  return {
+    ...status,
+    progress: job.progress || { total: job.payload.items.length, succeeded: 0, failed: 0, pending: job.payload.items.length },
+    items: job.items || job.payload.items.map(item => ({ url: item.url, state: 'queued' }))
+  };
+});
+
+// GET /batches/:id/results/:index - crawl result of one batch URL (linked from the summary)
+fastify.get('/batches/:id/results/:index', async (request, reply) => {
+  const job = accessibleJob(request, 'batch');
+  if (!job) {
+    return reply.status(404).send({ error: 'Batch not found' });
+  }
+
+  const result = await getBatchResult(job, Number(request.params.index));
+  if (!result) {
+    return reply.status(404).send({ error: 'Result not found' });
+  }
+  return result;
+});
+
+// POST /crawl-site - crawl a whole site from a seed URL and/or its sitemaps
+fastify.post('/crawl-site', async (request, reply) => {
+  const { payload, error } = await parseSiteCrawlRequest(request.body);
+  if (error) {
+    return reply.status(400).send({ error });
+  }
+
+  requestLog(`Site crawl request received for: ${payload.url}`);
+
+  let job;
+  try {
+    job = await enqueueJob('site-crawl', { ...payload, owner: sessionOwner(request) });
+  } catch (enqueueError) {
+    logError(enqueueError, 'Enqueue site crawl');
+    return sendError(reply, enqueueError);
+  }
+
+  return reply.status(202).send({
+    message: 'Site crawl accepted, processing in background',
+    crawl_id: job.id,
+    status_url: `/site-crawls/${job.id}`,
+    results_url: `/site-crawls/${job.id}/results`
+  });
+});
+
+// GET /site-crawls/:id - site crawl state and progress
+fastify.get('/site-crawls/:id', async (request, reply) => {
+  const job = accessibleJob(request, 'site-crawl');
+  if (!job) {
+    return reply.status(404).send({ error: 'Site crawl not found' });
+  }
+  return toJobStatus(job);
+});
+
+// GET /site-crawls/:id/results?offset=0&limit=50 - pages crawled so far
+fastify.get('/site-crawls/:id/results', async (request, reply) => {
+  const job = accessibleJob(request, 'site-crawl');
+  if (!job) {
+    return reply.status(404).send({ error: 'Site crawl not found' });
+  }
+
+  const offset = Math.max(0, parseInt(request.query.offset, 10) || 0);
+  const limit = Math.min(200, Math.max(1, parseInt(request.query.limit, 10) || 50));
+  const { total, pages } = await getSiteCrawlResults(job.id, { offset, limit });
+
+  return { crawl_id: job.id, state: job.state, total, offset, limit, pages };
+});
+
+// GET /jobs/:id - report job state, timings and error
+fastify.get('/jobs/:id', async (request, reply) => {
+  const job = accessibleJob(request);
+  if (!job) {
+    return reply.status(404).send({ error: 'Job not found' });
+  }
+  return toJobStatus(job);
+});
+
+// DELETE /jobs/:id - cancel a job that has not started yet
+fastify.delete('/jobs/:id', async (request, reply) => {
+  const job = accessibleJob(request) && await cancelJob(request.params.id);
+  if (!job) {
+    return reply.status(404).send({ error: 'Job not found' });
+  }
+  if (job.state !== 'cancelled') {
+    return reply.status(409).send({ error: `Job is ${job.state} and can no longer be cancelled` });
+  }
+  return toJobStatus(job);
+});
+
+// GET /dead-letters - callbacks of the caller's jobs that could not be delivered
+fastify.get('/dead-letters', async (request) => {
+  const deadLetters = await listDeadLetters();
+  return { dead_letters: deadLetters.filter(deadLetter => canAccess(request, deadLetter.owner)) };
+});
+
+// Dead letter the caller may see, or null
+const accessibleDeadLetter = async (request) => {
+  const deadLetter = await getDeadLetter(request.params.id);
+  return deadLetter && canAccess(request, deadLetter.owner) ? deadLetter : null;
+};
+
+// GET /dead-letters/:id - a single dead letter including its payload
+fastify.get('/dead-letters/:id', async (request, reply) => {
+  const deadLetter = await accessibleDeadLetter(request);
+  if (!deadLetter) {
+    return reply.status(404).send({ error: 'Dead letter not found' });
+  }
+  return deadLetter;
+});
+
+// POST /dead-letters/:id/replay - retry delivery; removed from the store on success
+fastify.post('/dead-letters/:id/replay', async (request, reply) => {
+  const outcome = await accessibleDeadLetter(request) && await replayDeadLetter(request.params.id);
+  if (!outcome) {
+    return reply.status(404).send({ error: 'Dead letter not found' });
+  }
+
+  const { payload, ...deadLetter } = outcome.deadLetter;
+  return reply.status(outcome.delivered ? 200 : 502).send({
+    delivered: outcome.delivered,
+    attempts: outcome.attempts,
+    status: outcome.status,
+    error: outcome.error,
+    dead_letter: outcome.delivered ? null : deadLetter
+  });
+});
+
+// GET /sessions - the calling key's named sessions without their storage state
+fastify.get('/sessions', async (request) => {
+  return { sessions: await listSessions(sessionOwner(request)) };
+});
+
+// GET /sessions/:name - export a session's storage state
+fastify.get('/sessions/:name', async (request, reply) => {
+  const session = await getSession(sessionOwner(request), request.params.name);
+  if (!session) {
+    return reply.status(404).send({ error: 'Session not found' });
+  }
+  return session;
+});
+
+// PUT /sessions/:name - create a session or replace its storage state
+fastify.put('/sessions/:name', async (request, reply) => {
+  if (!SESSION_NAME.test(request.params.name)) {
+    return reply.status(400).send({ error: 'Session name must be 1-64 letters, digits, "-" or "_"' });
+  }
+  const error = validateStorageState(request.body);
+  if (error) {
+    return reply.status(400).send({ error });
+  }
+  try {
+    return await importSession(sessionOwner(request), request.params.name, request.body);
+  } catch (importError) {
+    return sendError(reply, importError);
+  }
+});
+
+// DELETE /sessions/:name - forget a session
+fastify.delete('/sessions/:name', async (request, reply) => {
+  if (!(await deleteSession(sessionOwner(request), request.params.name))) {
+    return reply.status(404).send({ error: 'Session not found' });
+  }
+  return { deleted: true };
+});
+
+// GET /artifacts/:name - a captured screenshot or PDF
+fastify.get('/artifacts/:name', async (request, reply) => {
+  const artifact = await openArtifact(request.params.name);
+  if (!artifact) {
+    return reply.status(404).send({ error: 'Artifact not found' });
+  }
+  return reply
+    .header('Content-Type', artifact.contentType)
+    .header('Content-Length', artifact.size)
+    .header('Cache-Control', 'private, max-age=86400')
+    .send(artifact.stream);
 });
 
 // POST /crawl-sync endpoint — synchronous version that returns the result directly
 fastify.post('/crawl-sync', async (request, reply) => {
-  const { url } = request.body;
+  const { url, options = {} } = request.body;
 
   if (!url || typeof url !== 'string') {
     return reply.status(400).send({ error: 'url is required and must be a string' });
   }
 
-  requestLog(`Sync crawl request received for: ${url}`);
-  let page;
+  const optionsError = validateCrawlOptions(options);
+  if (optionsError) {
+    return reply.status(400).send({ error: optionsError });
+  }
 
   try {
-    const browser = await getBrowser();
-    page = await createPage(browser);
+    await assertUrlAllowed(url, { kind: 'target' });
+  } catch (error) {
+    return sendError(reply, error, 400);
+  }
 
-    if (!config.browser.asCamoufox) {
-      const blocker = await PuppeteerBlocker.fromPrebuiltAdsAndTracking(fetch);
-      await blocker.enableBlockingInPage(page);
-    }
+  requestLog(`Sync crawl request received for: ${url}`);
 
-    await page.goto(url, { waitUntil: config.page.waitUntil });
-    const html = await page.content();
-    const result = await parseWebpage(html, url);
+  try {
+    // Sync callers get screenshots and PDFs inline instead of as artifact URLs
+    const result = await crawlUrl(url, { ...options, owner: sessionOwner(request), inlineArtifacts: true });
 
-    requestLog(`Sync crawl complete: "${result.title}" (${result.markdown.length} chars)`);
+    requestLog(`Sync crawl complete: "${result.title}" (${result.markdown?.length ?? 0} markdown chars)`);
     return reply.send(result);
   } catch (error) {
     logError(error, 'Sync crawl');
-    return reply.status(500).send({ error: error.message });
-  } finally {
-    try { if (page) await page.close(); } catch (_) {}
+    return sendError(reply, error);
   }
 });
 
 // Start server
 const start = async () => {
   try {
+    // An unknown default driver or an invalid proxy stops the server here
+    driverFor();
+    validateProxyPools();
+    await startAuth();
+    await startSiteRules();
+    await startJobQueue();
+
     await fastify.listen({ 
       port: config.server.port, 
       host: config.server.host 
@@ -289,10 +558,13 @@ const start = async () => {
         headless: config.browser.headless,
         maxAge: config.browser.maxAge,
         maxRequests: config.browser.maxRequests,
-        asCamoufox: config.browser.asCamoufox
+        driver: config.browser.driver
       },
       page: config.page,
       parser: config.parser,
+      jobs: config.jobs,
+      politeness: config.politeness,
+      cache: config.cache,
       markdown: {
         conversionTimeout: config.markdown.conversionTimeout
       },
@@ -300,7 +572,7 @@ const start = async () => {
     }, null, 2));
     
     // Log browser stats on startup
-    const stats = getBrowserStats();
+    const stats = driverFor().getBrowserStats();
     console.log(`Browser initialized: ${stats.isInitialized ? 'Yes' : 'No'}`);
   } catch (err) {
     logError(err, 'Server startup');
@@ -0,0 +1,248 @@
+import { config } from './config.js';
+import { createFileStore } from './store.js';
+import { createError } from './errors.js';
+
+// Logging utilities that respect config settings and include timestamps
+const debugLog = (...args) => {
+  if (config.logging.debug) {
+    console.log(`[${new Date().toISOString()}]`, ...args);
+  }
+};
+
+/**
+ * Named sessions - storage state (cookies and localStorage per origin) that crawls
+ * can load and save, for sites that need a login or a consent choice. A crawl with a
+ * session runs in its own incognito browser context: a session's state is copied into
+ * the fresh context before navigation and read back from it after the crawl, so the
+ * last crawl of a session to finish wins. State can be exported and imported through
+ * the /sessions routes.
+ *
+ * Sessions belong to the API key that created them: every function takes the key id
+ * as owner (null when authentication is disabled), and a key never sees, loads or
+ * replaces another key's sessions, even under the same name.
+ */
+
+export const SESSION_NAME = /^[A-Za-z0-9_-]{1,64}$/;
+
+const sessions = createFileStore('sessions');
+
+// Store id of an owner's session (names never contain '/', so ids cannot collide)
+const recordId = (owner, name) => owner === null ? name : `${owner}/${name}`;
+
+const ownedBy = (owner) => (record) => (record.owner ?? null) === owner;
+
+// Per-session chains so concurrent saves of one session do not drop each other's origins
+const saveChains = new Map();
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isExpired = (cookie) => cookie.expires > 0 && cookie.expires * 1000 < Date.now();
+
+// Only the fields setCookie accepts
+const storedCookie = ({ name, value, domain, path, expires, httpOnly, secure, sameSite }) => ({
+  name, value, domain, path, httpOnly, secure,
+  // Browser session cookies (expires -1) stay in the session until it is replaced
+  ...(expires > 0 && { expires }),
+  ...(sameSite && { sameSite })
+});
+
+/**
+ * Check an imported storage state
+ * @param {Object} state - { cookies: [{ name, value, domain, ... }], origins: [{ origin, localStorage: [{ name, value }] }] }
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateStorageState(state) {
+  if (!isPlainObject(state)) {
+    return 'state must be an object';
+  }
+  const { cookies = [], origins = [] } = state;
+  if (!Array.isArray(cookies) || cookies.length > config.sessions.maxCookies) {
+    return `cookies must be a list of at most ${config.sessions.maxCookies} cookies`;
+  }
+  for (const [index, cookie] of cookies.entries()) {
+    if (!isPlainObject(cookie) || ['name', 'value', 'domain'].some(field => typeof cookie[field] !== 'string') || !cookie.name || !cookie.domain) {
+      return `cookie ${index + 1} needs a name, value and domain`;
+    }
+  }
+  if (!Array.isArray(origins) || origins.length > config.sessions.maxOrigins) {
+    return `origins must be a list of at most ${config.sessions.maxOrigins} origins`;
+  }
+  for (const [index, entry] of origins.entries()) {
+    let origin;
+    try {
+      origin = new URL(entry.origin).origin;
+    } catch (error) {
+      return `origin ${index + 1} must be an http(s) origin`;
+    }
+    if (origin !== entry.origin || !origin.startsWith('http')) {
+      return `origin ${index + 1} must be an http(s) origin`;
+    }
+    if (!Array.isArray(entry.localStorage) || entry.localStorage.some(item => !isPlainObject(item) || typeof item.name !== 'string' || typeof item.value !== 'string')) {
+      return `origin ${index + 1} localStorage must be a list of { name, value } strings`;
+    }
+  }
+  return null;
+}
+
+// Session summary without the state itself
+const summary = ({ name, created_at, updated_at, cookies, origins }) => ({
+  name,
+  created_at,
+  updated_at,
+  cookies: cookies.length,
+  origins: origins.map(entry => entry.origin)
+});
+
+/**
+ * All sessions of an owner, without their state
+ * @param {string|null} owner - API key id
+ * @returns {Promise<Array<Object>>} [{ name, created_at, updated_at, cookies, origins }]
+ */
+export async function listSessions(owner) {
+  const records = (await sessions.list()).filter(ownedBy(owner));
+  return records.map(summary).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * A session including its storage state, for export or for a crawl
+ * @param {string|null} owner - API key id
+ * @param {string} name - Session name
+ * @returns {Promise<Object|null>} { name, created_at, updated_at, cookies, origins }, or null
+ */
+export async function getSession(owner, name) {
+  if (!SESSION_NAME.test(name)) {
+    return null;
+  }
+  const record = await sessions.load(recordId(owner, name));
+  if (!record) {
+    return null;
+  }
+  const { owner: _, ...session } = record;
+  return session;
+}
+
+// Store a session's state, creating the session if needed
+const writeSession = async (owner, name, { cookies, origins }) => {
+  const existing = await sessions.load(recordId(owner, name));
+  if (!existing && (await sessions.list()).filter(ownedBy(owner)).length >= config.sessions.maxSessions) {
+    throw createError('SESSION_LIMIT', `At most ${config.sessions.maxSessions} sessions can be stored per API key`, { statusCode: 409 });
+  }
+  const now = new Date().toISOString();
+  const record = {
+    owner,
+    name,
+    created_at: existing?.created_at || now,
+    updated_at: now,
+    cookies: cookies.filter(cookie => !isExpired(cookie)).map(storedCookie),
+    origins
+  };
+  await sessions.save(recordId(owner, name), record);
+  return record;
+};
+
+// Run session updates one after another per session
+const withSaveChain = async (owner, name, task) => {
+  const id = recordId(owner, name);
+  const previous = saveChains.get(id) || Promise.resolve();
+  const current = previous.catch(() => {}).then(task);
+  saveChains.set(id, current);
+  try {
+    return await current;
+  } finally {
+    if (saveChains.get(id) === current) {
+      saveChains.delete(id);
+    }
+  }
+};
+
+/**
+ * Replace a session's storage state (import)
+ * @param {string|null} owner - API key id
+ * @param {string} name - Session name
+ * @param {Object} state - Validated storage state
+ * @returns {Promise<Object>} Session summary
+ */
+export async function importSession(owner, name, { cookies = [], origins = [] }) {
+  const record = await withSaveChain(owner, name, () => writeSession(owner, name, { cookies, origins }));
+  debugLog(`Session ${name} imported (${record.cookies.length} cookies, ${record.origins.length} origins)`);
+  return summary(record);
+}
+
+/**
+ * Delete a session
+ * @param {string|null} owner - API key id
+ * @param {string} name - Session name
+ * @returns {Promise<boolean>} Whether the session existed
+ */
+export async function deleteSession(owner, name) {
+  if (!(await getSession(owner, name))) {
+    return false;
+  }
+  await withSaveChain(owner, name, () => sessions.remove(recordId(owner, name)));
+  return true;
+}
+
+/**
+ * Cookies of a session that have not expired, for the driver to add to a fresh context
+ * @param {Object} session - Result of getSession
+ * @returns {Array<Object>}
+ */
+export function liveCookies({ cookies }) {
+  return cookies.filter(cookie => !isExpired(cookie));
+}
+
+/**
+ * Init script that fills in a session's localStorage when a document of one of its
+ * origins starts, without overwriting what the page itself stored since. Drivers run
+ * it in every new document with the session's origins as argument.
+ * @param {Array<Object>} entries - session.origins
+ */
+export function restoreLocalStorage(entries) {
+  const entry = entries.find(item => item.origin === location.origin);
+  if (!entry) {
+    return;
+  }
+  try {
+    for (const { name, value } of entry.localStorage) {
+      if (localStorage.getItem(name) === null) {
+        localStorage.setItem(name, value);
+      }
+    }
+  } catch (error) {
+    // Storage is unavailable in sandboxed documents
+  }
+}
+
+/**
+ * Save the storage state of a crawl's browser context into a session: all of the
+ * context's cookies, and localStorage of the origin the page ended up on
+ * @param {string|null} owner - API key id
+ * @param {string} name - Session name
+ * @param {Page} page - Page of the crawl
+ * @param {Array<Object>} cookies - All cookies of the page's context (driver.cookies)
+ * @returns {Promise<Object>} Session summary
+ */
+export async function saveSession(owner, name, page, cookies) {
+  let current = null;
+  try {
+    current = await page.evaluate(() => ({
+      origin: location.origin,
+      localStorage: Object.entries(localStorage).map(([key, value]) => ({ name: key, value }))
+    }));
+  } catch (error) {
+    debugLog(`Session ${name}: localStorage not readable: ${error.message}`);
+  }
+
+  const record = await withSaveChain(owner, name, async () => {
+    const existing = await sessions.load(recordId(owner, name));
+    // Other origins keep what earlier crawls stored; the newest origins are kept at the limit
+    let origins = (existing?.origins || []).filter(entry => entry.origin !== current?.origin);
+    if (current?.origin?.startsWith('http')) {
+      origins.push(current);
+    }
+    origins = origins.slice(-config.sessions.maxOrigins);
+    return writeSession(owner, name, { cookies: cookies.slice(-config.sessions.maxCookies), origins });
+  });
+  debugLog(`Session ${name} saved (${record.cookies.length} cookies, ${record.origins.length} origins)`);
+  return summary(record);
+}
@@ -0,0 +1,278 @@
+import { config } from './config.js';
+import { crawlUrl } from './crawler.js';
+import { deliverCallback } from './callback.js';
+import { saveJob } from './job-queue.js';
+import { createFileStore } from './store.js';
+import { assertUrlAllowed } from './url-policy.js';
+import { discoverSitemapUrls } from './sitemap.js';
+import { normalizeUrl, siteHost, matchesGlob } from './url-utils.js';
+import { validateCrawlOptions } from './crawl-options.js';
+
+// Logging utilities that respect config settings and include timestamps
+const debugLog = (...args) => {
+  if (config.logging.debug) {
+    console.log(`[${new Date().toISOString()}]`, ...args);
+  }
+};
+
+const requestLog = (...args) => {
+  if (config.logging.logRequests) {
+    console.log(`[${new Date().toISOString()}]`, ...args);
+  }
+};
+
+/**
+ * Site Crawler - breadth-first crawl of one site, seeded from a URL and/or its
+ * sitemaps. Links are taken from the rendered DOM, normalized, de-duplicated and
+ * filtered by host, depth and include/exclude globs. Every page goes through the
+ * regular crawl pipeline; results are streamed to the callback and stored so they
+ * can be collected from GET /site-crawls/:id/results.
+ *
+ * The frontier and the set of seen URLs live on the job record, saved every
+ * config.siteCrawl.checkpointPages pages or checkpointInterval ms, so a crawl that is
+ * interrupted by a restart continues from its last checkpoint (pages crawled after it
+ * are crawled and delivered again).
+ */
+
+// Links to files that are never HTML pages
+const NON_HTML_EXTENSIONS = /\.(?:pdf|jpe?g|png|gif|webp|svg|ico|css|js|json|xml|zip|gz|rar|7z|mp3|mp4|avi|mov|webm|woff2?|ttf|eot|docx?|xlsx?|pptx?|csv)$/i;
+
+const pageStore = (jobId) => createFileStore(`site-crawls/${jobId}`);
+
+const isStringArray = (value) => Array.isArray(value) && value.every(item => typeof item === 'string');
+
+/**
+ * Validate a POST /crawl-site body
+ * @param {Object} body - Request body
+ * @returns {Promise<Object>} { payload } for enqueueJob, or { error }
+ */
+export async function parseSiteCrawlRequest(body) {
+  const {
+    url,
+    callback_url,
+    max_depth = config.siteCrawl.maxDepth,
+    max_pages = config.siteCrawl.maxPages,
+    include = [],
+    exclude = [],
+    sitemap = true,
+    options = {}
+  } = body || {};
+
+  if (!url || typeof url !== 'string') {
+    return { error: 'url is required and must be a string' };
+  }
+  if (callback_url !== undefined && typeof callback_url !== 'string') {
+    return { error: 'callback_url must be a string' };
+  }
+  if (!Number.isInteger(max_depth) || max_depth < 0) {
+    return { error: 'max_depth must be a non-negative integer' };
+  }
+  if (!Number.isInteger(max_pages) || max_pages < 1 || max_pages > config.siteCrawl.maxPagesLimit) {
+    return { error: `max_pages must be an integer between 1 and ${config.siteCrawl.maxPagesLimit}` };
+  }
+  if (!isStringArray(include) || !isStringArray(exclude)) {
+    return { error: 'include and exclude must be arrays of glob patterns' };
+  }
+  if (typeof sitemap !== 'boolean') {
+    return { error: 'sitemap must be a boolean' };
+  }
+  const optionsError = validateCrawlOptions(options);
+  if (optionsError) {
+    return { error: optionsError };
+  }
+
+  try {
+    await assertUrlAllowed(url, { kind: 'target' });
+    if (callback_url) {
+      await assertUrlAllowed(callback_url, { kind: 'callback' });
+    }
+  } catch (error) {
+    return { error: error.message };
+  }
+
+  return {
+    payload: { url, callback_url: callback_url || null, max_depth, max_pages, include, exclude, sitemap, options }
+  };
+}
+
+// Whether a discovered URL belongs in this crawl
+const shouldCrawl = (url, payload, seedHost) => {
+  const parsed = new URL(url);
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    return false;
+  }
+  if (siteHost(url) !== seedHost || NON_HTML_EXTENSIONS.test(parsed.pathname)) {
+    return false;
+  }
+  if (payload.include.length > 0 && !payload.include.some(pattern => matchesGlob(url, pattern))) {
+    return false;
+  }
+  return !payload.exclude.some(pattern => matchesGlob(url, pattern));
+};
+
+/**
+ * Job handler for 'site-crawl' jobs
+ * @param {Object} job - Site crawl job record (payload from parseSiteCrawlRequest)
+ * @returns {Promise<Object>} Summary stored as the job result
+ */
+export async function processSiteCrawl(job) {
+  const payload = job.payload;
+  const seedHost = siteHost(payload.url);
+  const pages = pageStore(job.id);
+
+  // Fresh crawl: seed the frontier. Resumed crawl: re-queue pages that were in flight.
+  if (!job.checkpoint) {
+    const seed = normalizeUrl(payload.url);
+    job.checkpoint = { frontier: [{ url: seed, depth: 0 }], in_flight: [], seen: [seed] };
+    job.progress = { crawled: 0, succeeded: 0, failed: 0, skipped: 0, discovered: 1, queued: 1 };
+
+    if (payload.sitemap) {
+      const seeded = new Set(job.checkpoint.seen);
+      const sitemapUrls = await discoverSitemapUrls(payload.url, { limit: config.siteCrawl.maxSitemapUrls });
+      for (const sitemapUrl of sitemapUrls) {
+        const normalized = normalizeUrl(sitemapUrl);
+        if (normalized && !seeded.has(normalized) && shouldCrawl(normalized, payload, seedHost)) {
+          seeded.add(normalized);
+          job.checkpoint.seen.push(normalized);
+          job.checkpoint.frontier.push({ url: normalized, depth: 0 });
+        }
+      }
+    }
+  }
+  const checkpoint = job.checkpoint;
+  const progress = job.progress;
+  checkpoint.frontier.unshift(...checkpoint.in_flight);
+  checkpoint.in_flight = [];
+
+  const updateCounts = () => {
+    progress.discovered = checkpoint.seen.length;
+    progress.queued = checkpoint.frontier.length;
+  };
+  updateCounts();
+  await saveJob(job);
+
+  // Each save writes the whole frontier and seen list, so not after every page
+  let lastCheckpoint = { crawled: progress.crawled, at: Date.now() };
+  const checkpointDue = () =>
+    progress.crawled - lastCheckpoint.crawled >= config.siteCrawl.checkpointPages ||
+    Date.now() - lastCheckpoint.at >= config.siteCrawl.checkpointInterval;
+
+  const seen = new Set(checkpoint.seen);
+  let callbackFailures = 0;
+
+  requestLog(`Site crawl ${job.id}: ${payload.url} (max depth ${payload.max_depth}, max pages ${payload.max_pages}, ${checkpoint.frontier.length} seeded)`);
+
+  const crawlEntry = async (entry) => {
+    const record = { crawl_id: job.id, url: entry.url, depth: entry.depth, crawled_at: new Date().toISOString() };
+
+    try {
+      const result = await crawlUrl(entry.url, { ...payload.options, owner: payload.owner ?? null, collectLinks: true, background: true });
+      const { outlinks = [], ...pageResult } = result;
+
+      if (entry.depth < payload.max_depth) {
+        for (const link of outlinks) {
+          const normalized = normalizeUrl(link, entry.url);
+          if (normalized && !seen.has(normalized) && shouldCrawl(normalized, payload, seedHost)) {
+            seen.add(normalized);
+            checkpoint.seen.push(normalized);
+            checkpoint.frontier.push({ url: normalized, depth: entry.depth + 1 });
+          }
+        }
+      }
+
+      Object.assign(record, { state: 'succeeded', error: null, result: pageResult });
+      progress.succeeded++;
+    } catch (error) {
+      // Pages robots.txt keeps us out of are skipped, not failed
+      const skipped = error.code === 'ROBOTS_DISALLOWED';
+      Object.assign(record, { state: skipped ? 'skipped' : 'failed', error: { message: error.message, code: error.code || null }, result: null });
+      if (skipped) {
+        progress.skipped = (progress.skipped || 0) + 1;
+      } else {
+        progress.failed++;
+      }
+      debugLog(`Site crawl ${job.id}: ${entry.url} ${skipped ? 'skipped' : 'failed'}: ${error.message}`);
+    }
+
+    progress.crawled++;
+    record.sequence = progress.crawled;
+    await pages.save(String(record.sequence), record);
+
+    if (payload.callback_url) {
+      try {
+        await deliverCallback(payload.callback_url, { type: 'page', ...record }, { job_id: job.id, owner: payload.owner ?? null });
+      } catch (error) {
+        callbackFailures++;
+      }
+    }
+
+    checkpoint.in_flight = checkpoint.in_flight.filter(item => item !== entry);
+    updateCounts();
+    if (checkpointDue()) {
+      lastCheckpoint = { crawled: progress.crawled, at: Date.now() };
+      await saveJob(job);
+    }
+  };
+
+  // Breadth-first with a bounded number of pages in flight
+  const inFlight = new Set();
+  while (checkpoint.frontier.length > 0 || inFlight.size > 0) {
+    while (checkpoint.frontier.length > 0 &&
+           inFlight.size < config.siteCrawl.concurrency &&
+           progress.crawled + inFlight.size < payload.max_pages) {
+      const entry = checkpoint.frontier.shift();
+      checkpoint.in_flight.push(entry);
+      const task = crawlEntry(entry).finally(() => inFlight.delete(task));
+      inFlight.add(task);
+    }
+    if (inFlight.size === 0) {
+      break;
+    }
+    await Promise.race(inFlight);
+  }
+
+  const summary = {
+    crawl_id: job.id,
+    url: payload.url,
+    crawled: progress.crawled,
+    succeeded: progress.succeeded,
+    failed: progress.failed,
+    skipped: progress.skipped || 0,
+    discovered: progress.discovered,
+    truncated: checkpoint.frontier.length > 0,
+    callback_failures: callbackFailures
+  };
+  requestLog(`Site crawl ${job.id} finished: ${summary.crawled} page(s), ${summary.failed} failed, ${checkpoint.frontier.length} left unvisited`);
+
+  // The checkpoint is only needed to resume; keep the stored job small
+  job.checkpoint = null;
+
+  if (payload.callback_url) {
+    const delivery = await deliverCallback(payload.callback_url, { type: 'complete', ...summary }, { job_id: job.id, owner: payload.owner ?? null });
+    summary.callback_status = delivery.status;
+  }
+
+  return summary;
+}
+
+/**
+ * Stored page results of a site crawl, in crawl order
+ * @param {string} jobId - Site crawl job id
+ * @param {Object} options
+ * @param {number} options.offset - Records to skip
+ * @param {number} options.limit - Maximum records to return
+ * @returns {Promise<Object>} { total, pages }
+ */
+export async function getSiteCrawlResults(jobId, { offset = 0, limit = 50 } = {}) {
+  const records = await pageStore(jobId).list();
+  records.sort((a, b) => a.sequence - b.sequence);
+  return { total: records.length, pages: records.slice(offset, offset + limit) };
+}
+
+/**
+ * Remove stored page results (called when the job expires)
+ * @param {Object} job - Site crawl job record
+ */
+export async function cleanupSiteCrawl(job) {
+  await pageStore(job.id).clear();
+}
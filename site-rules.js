@@ -0,0 +1,271 @@
+import path from 'path';
+import { promises as fs, watch } from 'fs';
+import YAML from 'yaml';
+import { JSDOM } from 'jsdom';
+import { config } from './config.js';
+import { matchesDomain } from './url-policy.js';
+import { toIsoDate } from './metadata.js';
+
+// Logging utilities that respect config settings and include timestamps
+const debugLog = (...args) => {
+  if (config.logging.debug) {
+    console.log(`[${new Date().toISOString()}]`, ...args);
+  }
+};
+
+const requestLog = (...args) => {
+  if (config.logging.logRequests) {
+    console.log(`[${new Date().toISOString()}]`, ...args);
+  }
+};
+
+/**
+ * Site Rules - declarative, per-site extraction rules loaded from JSON/YAML files in
+ * config.siteRules.dir. A rule matches hostnames (`example.com` includes subdomains,
+ * `*.example.com` only subdomains) and can name the content element, elements to
+ * remove, title/author/date elements and whether the header is spliced in.
+ * Files are reloaded when they change.
+ */
+
+const RULE_FILE = /\.(?:json|ya?ml)$/i;
+const SELECTOR_FIELDS = ['content', 'title', 'author', 'date'];
+const RULE_FIELDS = ['name', 'hosts', 'remove', 'splice_header', 'header_selectors', ...SELECTOR_FIELDS];
+
+// Active rules in file order
+let rules = [];
+let loadedAt = null;
+let watcher = null;
+let reloadTimer = null;
+
+// Throwaway document used to reject selectors the DOM cannot parse up front
+const selectorCheckDocument = new JSDOM('').window.document;
+
+/**
+ * Whether the DOM can parse a CSS selector
+ * @param {string} selector - CSS selector
+ * @returns {boolean}
+ */
+export function isValidSelector(selector) {
+  try {
+    selectorCheckDocument.querySelector(selector);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+const toList = (value) => value === undefined ? [] : [].concat(value);
+
+// Validate and normalize one rule; returns { rule } or { error }
+const normalizeRule = (raw, fallbackName) => {
+  if (raw === null || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { error: 'rule must be an object' };
+  }
+  const unknown = Object.keys(raw).find(key => !RULE_FIELDS.includes(key));
+  if (unknown) {
+    return { error: `unknown field ${unknown}` };
+  }
+
+  const hosts = toList(raw.hosts);
+  if (hosts.length === 0 || !hosts.every(host => typeof host === 'string' && host.trim())) {
+    return { error: 'hosts must be a hostname pattern or a non-empty list of them' };
+  }
+  const remove = toList(raw.remove);
+  const headerSelectors = toList(raw.header_selectors);
+  for (const selector of [...remove, ...headerSelectors, ...SELECTOR_FIELDS.map(field => raw[field]).filter(value => value !== undefined)]) {
+    if (typeof selector !== 'string' || !isValidSelector(selector)) {
+      return { error: `invalid selector ${JSON.stringify(selector)}` };
+    }
+  }
+  if (raw.splice_header !== undefined && typeof raw.splice_header !== 'boolean') {
+    return { error: 'splice_header must be a boolean' };
+  }
+
+  return {
+    rule: {
+      name: typeof raw.name === 'string' && raw.name ? raw.name : fallbackName,
+      hosts: hosts.map(host => host.trim().toLowerCase()),
+      remove,
+      content: raw.content || null,
+      title: raw.title || null,
+      author: raw.author || null,
+      date: raw.date || null,
+      splice_header: raw.splice_header ?? true,
+      header_selectors: headerSelectors.length > 0 ? headerSelectors : null
+    }
+  };
+};
+
+// A file holds one rule, a list of rules or { rules: [...] }
+const parseRuleFile = (file, text) => {
+  const data = /\.json$/i.test(file) ? JSON.parse(text) : YAML.parse(text);
+  if (Array.isArray(data)) {
+    return data;
+  }
+  if (data && Array.isArray(data.rules)) {
+    return data.rules;
+  }
+  return [data];
+};
+
+/**
+ * (Re)load every rule file from config.siteRules.dir. Invalid files and rules are
+ * skipped with a warning so one bad file never disables the others.
+ * @returns {Promise<number>} Number of active rules
+ */
+export async function loadSiteRules() {
+  const dir = config.siteRules.dir;
+  let files;
+  try {
+    files = (await fs.readdir(dir)).filter(file => RULE_FILE.test(file)).sort();
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+    files = [];
+  }
+
+  const loaded = [];
+  for (const file of files) {
+    let entries;
+    try {
+      entries = parseRuleFile(file, await fs.readFile(path.join(dir, file), 'utf8'));
+    } catch (error) {
+      console.warn(`[${new Date().toISOString()}] Warning: Skipping site rule file ${file}: ${error.message}`);
+      continue;
+    }
+
+    entries.forEach((entry, index) => {
+      const fallbackName = entries.length > 1 ? `${file}#${index}` : file;
+      const { rule, error } = normalizeRule(entry, fallbackName);
+      if (error) {
+        console.warn(`[${new Date().toISOString()}] Warning: Skipping site rule ${fallbackName}: ${error}`);
+        return;
+      }
+      loaded.push(rule);
+    });
+  }
+
+  rules = loaded;
+  loadedAt = new Date().toISOString();
+  debugLog(`Loaded ${rules.length} site rule(s) from ${files.length} file(s) in ${dir}`);
+  return rules.length;
+}
+
+/**
+ * Load the rules and reload them whenever a file in the rules directory changes. A
+ * missing directory is created, so rule files added later are still picked up.
+ */
+export async function startSiteRules() {
+  await loadSiteRules();
+
+  if (!config.siteRules.watch || watcher) {
+    return;
+  }
+  try {
+    await fs.mkdir(config.siteRules.dir, { recursive: true });
+    watcher = watch(config.siteRules.dir, () => {
+      // Editors write files in several steps; reload once things settle
+      clearTimeout(reloadTimer);
+      reloadTimer = setTimeout(() => {
+        loadSiteRules()
+          .then(count => requestLog(`Site rules reloaded (${count} active)`))
+          .catch(error => console.error(`[${new Date().toISOString()}] ERROR Reloading site rules:`, error.message));
+      }, 250);
+    });
+    watcher.on('error', (error) => {
+      console.warn(`[${new Date().toISOString()}] Warning: Site rules watcher stopped, rule changes need a restart: ${error.message}`);
+      watcher.close();
+      watcher = null;
+    });
+    watcher.unref();
+  } catch (error) {
+    console.warn(`[${new Date().toISOString()}] Warning: Not watching site rules in ${config.siteRules.dir}, rule changes need a restart: ${error.message}`);
+  }
+}
+
+/**
+ * Find the rule for a URL; the longest matching host pattern wins, then file order
+ * @param {string} url - Page URL
+ * @returns {Object|null} Matching rule
+ */
+export function findSiteRule(url) {
+  const hostname = new URL(url).hostname.toLowerCase();
+  let best = null;
+  let bestLength = -1;
+
+  for (const rule of rules) {
+    for (const pattern of rule.hosts) {
+      if (matchesDomain(hostname, pattern) && pattern.length > bestLength) {
+        best = rule;
+        bestLength = pattern.length;
+      }
+    }
+  }
+  return best;
+}
+
+/**
+ * Remove the rule's unwanted elements from the document
+ * @param {Document} document - JSDOM document
+ * @param {Object} rule - Site rule
+ * @returns {number} Number of removed elements
+ */
+export function removeRuleElements(document, rule) {
+  let removed = 0;
+  for (const selector of rule.remove) {
+    for (const element of document.querySelectorAll(selector)) {
+      element.remove();
+      removed++;
+    }
+  }
+  return removed;
+}
+
+/**
+ * Read the title, author and date named by the rule
+ * @param {Document} document - JSDOM document
+ * @param {Object} rule - Site rule
+ * @returns {Object} { title, author, date } - null where the rule has no selector or nothing matched
+ */
+export function selectRuleFields(document, rule) {
+  const text = (selector) => {
+    const value = selector ? document.querySelector(selector)?.textContent.replace(/\s+/g, ' ').trim() : null;
+    return value || null;
+  };
+
+  const dateElement = rule.date ? document.querySelector(rule.date) : null;
+  const date = dateElement
+    ? toIsoDate(dateElement.getAttribute('datetime') || dateElement.getAttribute('content') || dateElement.textContent)
+    : null;
+
+  return { title: text(rule.title), author: text(rule.author), date };
+}
+
+/**
+ * HTML of the rule's content element(s)
+ * @param {Document} document - JSDOM document
+ * @param {Object} rule - Site rule
+ * @returns {Object|null} { html, textContent }, or null when the selector matches nothing
+ */
+export function selectRuleContent(document, rule) {
+  if (!rule.content) {
+    return null;
+  }
+  const elements = [...document.querySelectorAll(rule.content)];
+  if (elements.length === 0) {
+    return null;
+  }
+  return {
+    html: elements.map(element => element.outerHTML).join('\n'),
+    textContent: elements.map(element => element.textContent).join('\n')
+  };
+}
+
+/**
+ * Loaded rules summary for /health
+ * @returns {Object} { count, loaded_at }
+ */
+export function getSiteRuleStats() {
+  return { count: rules.length, loaded_at: loadedAt };
+}
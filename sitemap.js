@@ -0,0 +1,115 @@
+import zlib from 'zlib';
+import { promisify } from 'util';
+import { config } from './config.js';
+import { policyFetch } from './url-policy.js';
+import { getRobots } from './robots.js';
+
+// Logging utilities that respect config settings and include timestamps
+const debugLog = (...args) => {
+  if (config.logging.debug) {
+    console.log(`[${new Date().toISOString()}]`, ...args);
+  }
+};
+
+/**
+ * Sitemap discovery - finds sitemaps via robots.txt (falling back to /sitemap.xml)
+ * and expands sitemap indexes into page URLs
+ */
+
+const gunzip = promisify(zlib.gunzip);
+
+// Fetch a text resource through the URL policy; returns null for missing/failed resources.
+// Bodies and their gunzipped content are capped at maxSitemapBytes (gzip bombs fail).
+const fetchText = async (url) => {
+  const maxBytes = config.siteCrawl.maxSitemapBytes;
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), config.siteCrawl.fetchTimeout);
+
+  try {
+    const response = await policyFetch(url, {
+      headers: { 'User-Agent': config.politeness.userAgent },
+      signal: controller.signal,
+      // node-fetch stops reading and rejects beyond this
+      size: maxBytes
+    });
+    if (!response.ok) {
+      debugLog(`Sitemap fetch ${url} returned ${response.status}`);
+      return null;
+    }
+
+    let buffer = Buffer.from(await response.arrayBuffer());
+    // Gzipped sitemaps are served as files, not with Content-Encoding
+    if (buffer[0] === 0x1f && buffer[1] === 0x8b) {
+      buffer = await gunzip(buffer, { maxOutputLength: maxBytes });
+    }
+    return buffer.toString('utf8');
+  } catch (error) {
+    debugLog(`Sitemap fetch ${url} failed: ${error.message}`);
+    return null;
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+const decodeXmlEntities = (text) => text
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&amp;/g, '&');
+
+/**
+ * Split a sitemap document into page URLs and nested sitemap URLs
+ * @param {string} xml - Sitemap or sitemap index XML
+ * @returns {Object} { urls, sitemaps }
+ */
+export function parseSitemap(xml) {
+  const locs = (block) => [...block.matchAll(/<loc>\s*([\s\S]*?)\s*<\/loc>/gi)]
+    .map(match => decodeXmlEntities(match[1].replace(/^<!\[CDATA\[|\]\]>$/g, '').trim()));
+
+  const sitemaps = [...xml.matchAll(/<sitemap>([\s\S]*?)<\/sitemap>/gi)].flatMap(match => locs(match[1]));
+  const urls = [...xml.matchAll(/<url>([\s\S]*?)<\/url>/gi)].flatMap(match => locs(match[1]));
+
+  return { urls, sitemaps };
+}
+
+/**
+ * Collect page URLs from a site's sitemaps
+ * @param {string} seedUrl - Any URL on the site
+ * @param {Object} options
+ * @param {number} options.limit - Stop after this many page URLs
+ * @returns {Promise<Array<string>>} Page URLs in sitemap order
+ */
+export async function discoverSitemapUrls(seedUrl, { limit = Infinity } = {}) {
+  const origin = new URL(seedUrl).origin;
+
+  // robots.txt comes from the shared cache that also drives robots compliance
+  const robots = await getRobots(seedUrl);
+  const pending = [...(robots.sitemaps || [])];
+  if (pending.length === 0) {
+    pending.push(`${origin}/sitemap.xml`);
+  }
+
+  const visited = new Set();
+  const urls = [];
+
+  while (pending.length > 0 && urls.length < limit && visited.size < config.siteCrawl.maxSitemaps) {
+    const sitemapUrl = pending.shift();
+    if (visited.has(sitemapUrl)) {
+      continue;
+    }
+    visited.add(sitemapUrl);
+
+    const xml = await fetchText(sitemapUrl);
+    if (!xml) {
+      continue;
+    }
+
+    const parsed = parseSitemap(xml);
+    pending.push(...parsed.sitemaps);
+    urls.push(...parsed.urls.slice(0, limit - urls.length));
+  }
+
+  debugLog(`Discovered ${urls.length} URL(s) from ${visited.size} sitemap(s) for ${origin}`);
+  return urls;
+}
@@ -0,0 +1,122 @@
+import path from 'path';
+import { promises as fs } from 'fs';
+import { config } from './config.js';
+
+/**
+ * File-backed record store - keeps one JSON file per record so state survives restarts
+ */
+
+// Per-file write chains so concurrent saves of the same record land in order
+const writeChains = new Map();
+let tmpCounter = 0;
+
+/**
+ * Create a store for a named collection under the configured data directory
+ * @param {string} name - Collection name (becomes a subdirectory of storage.dataDir)
+ * @returns {Object} Store with save/load/remove/list helpers
+ */
+export function createFileStore(name) {
+  const dir = path.join(config.storage.dataDir, name);
+  let dirReady = null;
+
+  const ensureDir = () => {
+    if (!dirReady) {
+      dirReady = fs.mkdir(dir, { recursive: true }).catch((error) => {
+        dirReady = null;
+        throw error;
+      });
+    }
+    return dirReady;
+  };
+
+  const fileFor = (id) => path.join(dir, `${encodeURIComponent(id)}.json`);
+
+  // Write to a temp file and rename so a crash never leaves a half-written record
+  const writeAtomic = async (file, record) => {
+    await ensureDir();
+    const tmpFile = `${file}.${process.pid}.${++tmpCounter}.tmp`;
+    await fs.writeFile(tmpFile, JSON.stringify(record));
+    await fs.rename(tmpFile, file);
+  };
+
+  return {
+    dir,
+
+    /**
+     * Persist a record
+     * @param {string} id - Record identifier
+     * @param {Object} record - JSON-serializable record
+     */
+    async save(id, record) {
+      const file = fileFor(id);
+      const previous = writeChains.get(file) || Promise.resolve();
+      const current = previous.catch(() => {}).then(() => writeAtomic(file, record));
+      writeChains.set(file, current);
+      try {
+        await current;
+      } finally {
+        if (writeChains.get(file) === current) {
+          writeChains.delete(file);
+        }
+      }
+    },
+
+    /**
+     * Load a record
+     * @param {string} id - Record identifier
+     * @returns {Promise<Object|null>} The record, or null if it does not exist
+     */
+    async load(id) {
+      try {
+        return JSON.parse(await fs.readFile(fileFor(id), 'utf8'));
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return null;
+        }
+        throw error;
+      }
+    },
+
+    /**
+     * Delete a record (no-op if it does not exist)
+     * @param {string} id - Record identifier
+     */
+    async remove(id) {
+      try {
+        await fs.unlink(fileFor(id));
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      }
+    },
+
+    /**
+     * Delete the whole collection
+     */
+    async clear() {
+      await fs.rm(dir, { recursive: true, force: true });
+      dirReady = null;
+    },
+
+    /**
+     * Load every record in the collection, skipping unreadable files
+     * @returns {Promise<Array<Object>>} All stored records
+     */
+    async list() {
+      await ensureDir();
+      const files = (await fs.readdir(dir)).filter(file => file.endsWith('.json'));
+      const records = [];
+
+      for (const file of files) {
+        try {
+          records.push(JSON.parse(await fs.readFile(path.join(dir, file), 'utf8')));
+        } catch (error) {
+          console.warn(`[${new Date().toISOString()}] Warning: Skipping unreadable record ${file}: ${error.message}`);
+        }
+      }
+
+      return records;
+    }
+  };
+}
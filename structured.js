@@ -0,0 +1,184 @@
+import { config } from './config.js';
+import { siteHost } from './url-utils.js';
+
+/**
+ * Structured data - links, images and tables read from the page DOM so consumers
+ * do not have to re-parse the markdown
+ */
+
+export const STRUCTURED_TYPES = ['links', 'images', 'tables'];
+
+const cleanText = (value) => (value || '').replace(/\s+/g, ' ').trim();
+
+// Absolute http(s) URL without fragment, or null for anything else (javascript:, mailto:, data:, junk)
+const httpUrl = (value, baseUrl) => {
+  if (!value) {
+    return null;
+  }
+  try {
+    const parsed = new URL(value.trim(), baseUrl);
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      return null;
+    }
+    parsed.hash = '';
+    return parsed.href;
+  } catch (error) {
+    return null;
+  }
+};
+
+const toDimension = (value) => {
+  const number = parseInt(value, 10);
+  return Number.isFinite(number) && number > 0 ? number : null;
+};
+
+/**
+ * Links on the page, de-duplicated by URL
+ * @param {Element} root - Element to search
+ * @param {string} baseUrl - Page URL
+ * @returns {Array<Object>} [{ url, text, rel, internal }]
+ */
+export function extractLinks(root, baseUrl) {
+  const pageSite = siteHost(baseUrl);
+  const links = new Map();
+
+  for (const anchor of root.querySelectorAll('a[href]')) {
+    const url = httpUrl(anchor.getAttribute('href'), baseUrl);
+    if (!url || links.has(url)) {
+      continue;
+    }
+    const text = cleanText(anchor.textContent) ||
+      cleanText(anchor.getAttribute('aria-label') || anchor.getAttribute('title') || anchor.querySelector('img[alt]')?.getAttribute('alt'));
+    const rel = cleanText(anchor.getAttribute('rel'));
+
+    links.set(url, {
+      url,
+      text,
+      rel: rel ? rel.toLowerCase().split(' ') : [],
+      internal: siteHost(url) === pageSite
+    });
+    if (links.size >= config.output.maxStructuredItems) {
+      break;
+    }
+  }
+
+  return [...links.values()];
+}
+
+/**
+ * Images on the page with absolute URLs, de-duplicated by src
+ * @param {Element} root - Element to search
+ * @param {string} baseUrl - Page URL
+ * @returns {Array<Object>} [{ src, alt, title, width, height }]
+ */
+export function extractImages(root, baseUrl) {
+  const images = new Map();
+
+  for (const img of root.querySelectorAll('img')) {
+    // Lazy-loaded images keep the real URL in data-src or srcset
+    const srcsetFirst = (img.getAttribute('srcset') || img.getAttribute('data-srcset') || '').split(',')[0].trim().split(/\s+/)[0];
+    const src = httpUrl(img.getAttribute('data-src') || img.getAttribute('src') || srcsetFirst, baseUrl);
+    if (!src || images.has(src)) {
+      continue;
+    }
+
+    images.set(src, {
+      src,
+      alt: cleanText(img.getAttribute('alt')),
+      title: cleanText(img.getAttribute('title')) || null,
+      width: toDimension(img.getAttribute('width')),
+      height: toDimension(img.getAttribute('height'))
+    });
+    if (images.size >= config.output.maxStructuredItems) {
+      break;
+    }
+  }
+
+  return [...images.values()];
+}
+
+// Cell texts of a row, repeating cells that span several columns
+const rowCells = (row) => [...row.cells].flatMap(cell => {
+  const span = Math.min(toDimension(cell.getAttribute('colspan')) || 1, 50);
+  return Array(span).fill(cleanText(cell.textContent));
+});
+
+// Header names that are usable as object keys: empty or repeated names get a column name
+const headerKeys = (headers) => {
+  const used = new Set();
+  return headers.map((header, index) => {
+    let key = header || `column_${index + 1}`;
+    if (used.has(key)) {
+      key = `${key}_${index + 1}`;
+    }
+    used.add(key);
+    return key;
+  });
+};
+
+/**
+ * Data tables as JSON. The header row is the <thead> row or a first row of <th>
+ * cells; with a header, rows are objects keyed by header, otherwise arrays.
+ * Layout tables (nested tables, a single row or column) are skipped.
+ * @param {Element} root - Element to search
+ * @returns {Array<Object>} [{ caption, headers, rows }]
+ */
+export function extractTables(root) {
+  const tables = [];
+
+  for (const table of root.querySelectorAll('table')) {
+    if (table.querySelector('table')) {
+      continue;
+    }
+    const rows = [...table.rows];
+    if (rows.length < 2 || Math.max(...rows.map(row => row.cells.length)) < 2) {
+      continue;
+    }
+
+    let headerRow = table.tHead?.rows[0] || null;
+    if (!headerRow && [...rows[0].cells].every(cell => cell.tagName === 'TH')) {
+      headerRow = rows[0];
+    }
+
+    const headers = headerRow ? headerKeys(rowCells(headerRow)) : null;
+    const bodyRows = rows
+      .filter(row => row !== headerRow && !(table.tHead && table.tHead.contains(row)))
+      .map(rowCells)
+      .filter(cells => cells.some(Boolean));
+
+    tables.push({
+      caption: cleanText(table.caption?.textContent) || null,
+      headers,
+      rows: headers
+        ? bodyRows.map(cells => Object.fromEntries(headers.map((header, index) => [header, cells[index] ?? ''])))
+        : bodyRows
+    });
+    if (tables.length >= config.output.maxStructuredItems) {
+      break;
+    }
+  }
+
+  return tables;
+}
+
+/**
+ * Requested structured data for a page
+ * @param {Document} document - JSDOM document
+ * @param {string} url - Page URL
+ * @param {Array<string>} types - Subset of STRUCTURED_TYPES
+ * @returns {Object} { links?, images?, tables? }
+ */
+export function extractStructuredData(document, url, types) {
+  const root = document.body || document.documentElement;
+  const data = {};
+  if (types.includes('links')) {
+    data.links = extractLinks(root, url);
+  }
+  if (types.includes('images')) {
+    data.images = extractImages(root, url);
+  }
+  if (types.includes('tables')) {
+    data.tables = extractTables(root);
+  }
+  return data;
+}
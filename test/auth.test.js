@@ -0,0 +1,36 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import Fastify from 'fastify';
+
+let dataDir;
+let fastify;
+let auth;
+
+before(async () => {
+  dataDir = await mkdtemp(path.join(tmpdir(), 'auth-test-'));
+  process.env.DATA_DIR = dataDir;
+  process.env.API_KEYS = 'client:client-secret';
+  auth = await import('../auth.js');
+  await auth.startAuth();
+
+  fastify = Fastify();
+  auth.registerAuth(fastify);
+  fastify.get('/items/:id', async () => ({ ok: true }));
+  await fastify.ready();
+});
+
+after(async () => {
+  await fastify.close();
+  await rm(dataDir, { recursive: true, force: true });
+});
+
+test('usage is recorded per route pattern, unknown paths share one bucket', async () => {
+  const headers = { 'x-api-key': 'client-secret' };
+  for (const url of ['/items/1', '/items/2', '/random-1', '/random-2', '/random-3']) {
+    await fastify.inject({ method: 'GET', url, headers });
+  }
+  assert.deepEqual(auth.getKeyUsage('client').routes, { 'GET /items/:id': 2, 'GET (unmatched)': 3 });
+});
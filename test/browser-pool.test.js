@@ -0,0 +1,25 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+const browser = {};
+let config;
+let manager;
+
+before(async () => {
+  process.env.PAGE_CONCURRENCY = '1';
+  ({ config } = await import('../config.js'));
+  const { createBrowserManager } = await import('../browser-pool.js');
+  manager = createBrowserManager('test', { launch: async () => browser, isConnected: () => true });
+});
+
+test('a full wait queue answers 429, a wait that times out 503', async () => {
+  Object.assign(config.browser.pagePool, { maxQueue: 1, queueTimeout: 50, retryAfter: 7 });
+  const slot = await manager.acquirePage(browser, false);
+  try {
+    const waiting = manager.acquirePage(browser, false);
+    await assert.rejects(manager.acquirePage(browser, false), { code: 'POOL_SATURATED', statusCode: 429, retryAfter: 7 });
+    await assert.rejects(waiting, { code: 'POOL_TIMEOUT', statusCode: 503, retryAfter: 7 });
+  } finally {
+    slot.release();
+  }
+});
@@ -0,0 +1,93 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+
+process.env.ALLOW_PRIVATE_NETWORKS = 'true';
+process.env.CACHE_BACKEND = 'memory';
+process.env.NODE_ENV = 'test';
+
+let server;
+let base;
+let dataDir;
+let conditionalRequests = 0;
+let crawler;
+let cache;
+let config;
+
+before(async () => {
+  dataDir = await mkdtemp(path.join(tmpdir(), 'crawler-test-'));
+  process.env.DATA_DIR = dataDir;
+  server = http.createServer((request, response) => {
+    if (request.headers['if-none-match']) {
+      conditionalRequests++;
+      response.statusCode = 304;
+    } else {
+      response.statusCode = 404;
+    }
+    response.end();
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+  ({ config } = await import('../config.js'));
+  crawler = await import('../crawler.js');
+  cache = await import('../cache.js');
+  config.politeness.minHostInterval = 0;
+});
+
+after(async () => {
+  server.close();
+  await rm(dataDir, { recursive: true, force: true });
+});
+
+// Store a result for a URL and crawl options, already expired unless fresh is set
+const storeCached = async (url, options, { fresh = false, key = {} } = {}) => {
+  const { extractionOptions } = await import('../crawl-options.js');
+  const ttl = config.cache.ttl;
+  config.cache.ttl = fresh ? ttl : -1000;
+  try {
+    await cache.storeResult(cache.cacheKey(url, { ...extractionOptions(options), collectLinks: false, ...key }), url, { title: 'cached', response: { status: 200 } }, { etag: '"v1"' });
+  } finally {
+    config.cache.ttl = ttl;
+  }
+};
+
+test('expired entries of plain crawls are revalidated', async () => {
+  const url = `${base}/plain`;
+  await storeCached(url, {});
+  const result = await crawler.crawlUrl(url, {});
+  assert.equal(result.cache.status, 'revalidated');
+  assert.equal(conditionalRequests, 1);
+});
+
+test('expired entries of crawls with request state are not revalidated', async () => {
+  const cases = [
+    { session: { name: 'login' } },
+    { navigation: { headers: { Authorization: 'Bearer x' } } },
+    { navigation: { cookies: [{ name: 'sid', value: '1' }] } },
+    { emulation: { locale: 'de-DE' } }
+  ];
+  for (const [index, options] of cases.entries()) {
+    const url = `${base}/state-${index}`;
+    await storeCached(url, options, { key: options.session ? { owner: null } : {} });
+    const before = conditionalRequests;
+    // The crawl renders the page instead (or fails where no browser can launch)
+    const outcome = await crawler.crawlUrl(url, options).catch(error => error);
+    assert.equal(conditionalRequests, before, JSON.stringify(options));
+    assert.notEqual(outcome.cache?.status, 'revalidated', JSON.stringify(options));
+  }
+});
+
+test('cached results of a session are only served to the session\'s owner', async () => {
+  const url = `${base}/session-owner`;
+  const options = { session: { name: 'login' } };
+  await storeCached(url, options, { fresh: true, key: { owner: 'key-a' } });
+
+  const own = await crawler.crawlUrl(url, { ...options, owner: 'key-a' });
+  assert.equal(own.cache.status, 'hit');
+
+  const other = await crawler.crawlUrl(url, { ...options, owner: 'key-b' }).catch(error => error);
+  assert.notEqual(other.cache?.status, 'hit');
+});
@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { sanitizeHtml } from '../formats.js';
+
+test('sanitizeHtml removes script URLs hidden by whitespace and control characters', () => {
+  for (const href of ['javascript:alert(1)', 'java&#9;script:alert(1)', 'java&#10;script:alert(1)', ' &#1;javascript:alert(1)', 'JaVaScRiPt:alert(1)', 'javascript&colon;alert(1)', 'vbscript:msgbox(1)', 'data:text/html,<script>alert(1)</script>']) {
+    assert.equal(sanitizeHtml(`<a href="${href}">x</a>`), '<a>x</a>', href);
+  }
+});
+
+test('sanitizeHtml keeps http(s), mailto and relative URLs', () => {
+  for (const href of ['https://example.com/a', 'http://example.com/', 'mailto:a@example.com', '/path?q=1', 'page.html', '#top', '//cdn.example.com/x']) {
+    assert.equal(sanitizeHtml(`<a href="${href}">x</a>`), `<a href="${href}">x</a>`, href);
+  }
+});
+
+test('sanitizeHtml keeps inline raster images only', () => {
+  assert.equal(sanitizeHtml('<img src="data:image/png;base64,iVBORw0KGgo=">'), '<img src="data:image/png;base64,iVBORw0KGgo=">');
+  assert.equal(sanitizeHtml('<img src="data:image/svg+xml;base64,PHN2Zz4=">'), '<img>');
+  assert.equal(sanitizeHtml('<a href="data:image/png;base64,iVBORw0KGgo=">x</a>'), '<a>x</a>');
+});
+
+test('sanitizeHtml removes SVG and MathML with their animations', () => {
+  assert.equal(sanitizeHtml('<p>a</p><svg><a><animate attributeName="href" values="javascript:alert(1)"></animate><text>x</text></a></svg>'), '<p>a</p>');
+  assert.equal(sanitizeHtml('<svg><set attributeName="href" to="javascript:alert(1)"></set></svg>b'), 'b');
+  assert.equal(sanitizeHtml('<math><mtext><a href="javascript:alert(1)">x</a></mtext></math>c'), 'c');
+});
+
+test('sanitizeHtml removes event handlers, styles, scripts and comments', () => {
+  assert.equal(
+    sanitizeHtml('<p onclick="alert(1)" style="color:red" class="x">a<!-- c --><script>alert(1)</script></p>'),
+    '<p class="x">a</p>'
+  );
+});
@@ -0,0 +1,28 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+
+let root;
+let queue;
+
+before(async () => {
+  root = await mkdtemp(path.join(tmpdir(), 'job-queue-test-'));
+  // A file where the data directory should be, so every save fails
+  process.env.DATA_DIR = path.join(root, 'not-a-directory');
+  await writeFile(process.env.DATA_DIR, '');
+  queue = await import('../job-queue.js');
+});
+
+after(async () => {
+  await rm(root, { recursive: true, force: true });
+});
+
+test('a job whose save fails is not queued', async () => {
+  queue.registerJobHandler('noop', async () => null);
+  await assert.rejects(queue.enqueueJob('noop', {}, { generateId: () => 'unsaved-job' }));
+  assert.equal(queue.getJob('unsaved-job'), null);
+  assert.equal(queue.getJobQueueStats().queued, 0);
+  assert.equal(queue.getJobQueueStats().running, 0);
+});
@@ -0,0 +1,17 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { convertToMarkdown } from '../markdown.js';
+
+test('the default converter chain applies the custom turndown rules', async () => {
+  const html = `
+    <figure><img src="/lead.jpg" alt="Lead"><figcaption>The caption</figcaption></figure>
+    <pre><code class="language-js">const a = 1;</code></pre>
+    <blockquote class="twitter-tweet"><p>Hello world</p>— Someone (@someone) <a href="https://twitter.com/someone/status/123">January 1, 2025</a></blockquote>`;
+
+  const { markdown, converter } = await convertToMarkdown(html);
+
+  assert.equal(converter, 'turndown');
+  assert.match(markdown, /!\[Lead\]\(\/lead\.jpg\)\n\n\*The caption\*/);
+  assert.match(markdown, /```js\nconst a = 1;\n```/);
+  assert.match(markdown, /> Hello world\n>\n> \[— Someone \(@someone\) January 1, 2025\]\(https:\/\/twitter\.com\/someone\/status\/123\)/);
+});
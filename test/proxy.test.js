@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as sleep } from 'timers/promises';
+
+process.env.PROXY_URLS = 'http://proxy-a.example:8080,http://proxy-b.example:8080';
+process.env.PROXY_STRATEGY = 'sticky';
+
+const { config } = await import('../config.js');
+const { selectProxy, getProxyStats } = await import('../proxy.js');
+
+test('sticky pools keep a host on one proxy', () => {
+  const first = selectProxy('https://one.example/a');
+  assert.equal(selectProxy('https://one.example/b').server, first.server);
+  assert.notEqual(selectProxy('https://two.example/').server, first.server);
+});
+
+test('expired sticky assignments are dropped', async () => {
+  const ttl = config.proxy.stickyTtl;
+  config.proxy.stickyTtl = 20;
+  try {
+    const before = getProxyStats().stickyHosts;
+    for (let host = 0; host < 100; host++) {
+      selectProxy(`https://host-${host}.example/`);
+    }
+    assert.equal(getProxyStats().stickyHosts, before + 100);
+    await sleep(50);
+    assert.equal(getProxyStats().stickyHosts, before);
+  } finally {
+    config.proxy.stickyTtl = ttl;
+  }
+});
+
+test('sticky assignments are capped', () => {
+  const debug = config.logging.debug;
+  config.logging.debug = false;
+  try {
+    for (let host = 0; host < 10050; host++) {
+      selectProxy(`https://many-${host}.example/`);
+    }
+    assert.equal(getProxyStats().stickyHosts, 10000);
+  } finally {
+    config.logging.debug = debug;
+  }
+});
@@ -0,0 +1,26 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseRobots, evaluateRobots } from '../robots.js';
+
+const robots = parseRobots(`
+User-agent: bot
+Disallow: /bot
+
+User-agent: *
+Disallow: /everyone
+
+User-agent: BRANDSPOTPUPPY/1.0
+Disallow: /puppy
+`);
+
+test('groups match the whole product token case-insensitively', () => {
+  assert.equal(evaluateRobots(robots, 'https://example.com/puppy', 'BrandspotPuppy').allowed, false);
+  // "bot" is a substring of the token, not the token
+  assert.equal(evaluateRobots(robots, 'https://example.com/bot', 'BrandspotPuppy').allowed, true);
+  assert.equal(evaluateRobots(robots, 'https://example.com/everyone', 'BrandspotPuppy').allowed, true);
+});
+
+test('the * group applies when no group names the token', () => {
+  assert.equal(evaluateRobots(robots, 'https://example.com/everyone', 'OtherCrawler').allowed, false);
+  assert.equal(evaluateRobots(robots, 'https://example.com/puppy', 'OtherCrawler').allowed, true);
+});
@@ -0,0 +1,54 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+
+let dataDir;
+let sessions;
+
+before(async () => {
+  dataDir = await mkdtemp(path.join(tmpdir(), 'sessions-test-'));
+  process.env.DATA_DIR = dataDir;
+  sessions = await import('../sessions.js');
+});
+
+after(async () => {
+  await rm(dataDir, { recursive: true, force: true });
+});
+
+const state = (value) => ({
+  cookies: [{ name: 'sid', value, domain: 'example.com', path: '/' }],
+  origins: []
+});
+
+test('sessions are scoped to the API key that created them', async () => {
+  const { importSession, getSession, listSessions, deleteSession } = sessions;
+  await importSession('key-a', 'login', state('a'));
+  await importSession('key-b', 'login', state('b'));
+
+  assert.equal((await getSession('key-a', 'login')).cookies[0].value, 'a');
+  assert.equal((await getSession('key-b', 'login')).cookies[0].value, 'b');
+  assert.equal(await getSession('key-c', 'login'), null);
+  assert.equal(await getSession(null, 'login'), null);
+
+  assert.deepEqual((await listSessions('key-a')).map(session => session.name), ['login']);
+  assert.deepEqual(await listSessions('key-c'), []);
+
+  assert.equal(await deleteSession('key-c', 'login'), false);
+  assert.equal(await deleteSession('key-a', 'login'), true);
+  assert.equal(await getSession('key-a', 'login'), null);
+  assert.equal((await getSession('key-b', 'login')).cookies[0].value, 'b');
+});
+
+test('saved crawl state lands in the owner\'s session only', async () => {
+  const { saveSession, getSession } = sessions;
+  const page = { evaluate: async () => ({ origin: 'https://example.com', localStorage: [{ name: 'k', value: 'v' }] }) };
+  await saveSession('key-a', 'crawl', page, [{ name: 'sid', value: 'x', domain: 'example.com', path: '/', expires: -1 }]);
+
+  const session = await getSession('key-a', 'crawl');
+  assert.equal(session.cookies[0].value, 'x');
+  assert.deepEqual(session.origins, [{ origin: 'https://example.com', localStorage: [{ name: 'k', value: 'v' }] }]);
+  assert.equal(session.owner, undefined);
+  assert.equal(await getSession('key-b', 'crawl'), null);
+});
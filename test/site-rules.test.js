@@ -0,0 +1,25 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import { setTimeout as sleep } from 'timers/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+
+const root = await mkdtemp(path.join(tmpdir(), 'site-rules-test-'));
+process.env.SITE_RULES_DIR = path.join(root, 'rules');
+const { startSiteRules, findSiteRule } = await import('../site-rules.js');
+
+after(async () => {
+  await rm(root, { recursive: true, force: true });
+});
+
+test('rule files added to a rules directory that did not exist at startup are loaded', async () => {
+  await startSiteRules();
+  assert.equal(findSiteRule('https://example.com/a'), null);
+
+  await writeFile(path.join(process.env.SITE_RULES_DIR, 'example.json'), JSON.stringify({ hosts: ['example.com'], content: 'article' }));
+  for (let attempt = 0; attempt < 40 && !findSiteRule('https://example.com/a'); attempt++) {
+    await sleep(50);
+  }
+  assert.equal(findSiteRule('https://example.com/a')?.content, 'article');
+});
@@ -0,0 +1,48 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import zlib from 'zlib';
+
+process.env.ALLOW_PRIVATE_NETWORKS = 'true';
+
+const sitemap = (count) => `<urlset>${Array.from({ length: count }, (_, index) => `<url><loc>https://example.com/${index}</loc></url>`).join('')}</urlset>`;
+
+// Body of /sitemap.xml on the test server (robots.txt is missing, so it is the fallback)
+let sitemapBody = null;
+
+let server;
+let base;
+let discoverSitemapUrls;
+
+before(async () => {
+  server = http.createServer((request, response) => {
+    const found = request.url === '/sitemap.xml';
+    response.statusCode = found ? 200 : 404;
+    response.end(found ? sitemapBody : '');
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+  ({ discoverSitemapUrls } = await import('../sitemap.js'));
+  const { config } = await import('../config.js');
+  config.siteCrawl.maxSitemapBytes = 512 * 1024;
+});
+
+after(() => {
+  server.close();
+});
+
+test('gzipped sitemaps are read', async () => {
+  sitemapBody = zlib.gzipSync(sitemap(2));
+  assert.deepEqual(await discoverSitemapUrls(`${base}/`), ['https://example.com/0', 'https://example.com/1']);
+});
+
+test('gzip bombs are not inflated beyond maxSitemapBytes', async () => {
+  // 64 MiB of padding that gzips to a few dozen KiB
+  sitemapBody = zlib.gzipSync(Buffer.concat([Buffer.from(sitemap(1)), Buffer.alloc(64 * 1024 * 1024, 0x20)]));
+  assert.deepEqual(await discoverSitemapUrls(`${base}/`), []);
+});
+
+test('bodies beyond maxSitemapBytes are not read', async () => {
+  sitemapBody = Buffer.from(sitemap(20000));
+  assert.deepEqual(await discoverSitemapUrls(`${base}/`), []);
+});
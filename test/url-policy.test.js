@@ -0,0 +1,64 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+
+// A proxy nobody listens on: anything routed through it fails
+process.env.PROXY_URLS = 'http://127.0.0.1:9';
+process.env.CALLBACK_TRUSTED_HOSTS = 'localhost';
+
+let server;
+let port;
+let policy;
+
+before(async () => {
+  server = http.createServer((request, response) => response.end('ok'));
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  port = server.address().port;
+  policy = await import('../url-policy.js');
+});
+
+after(() => {
+  server.close();
+});
+
+test('callbacks to trusted hosts bypass the upstream proxy', async () => {
+  const response = await policy.policyFetch(`http://localhost:${port}/hook`, { method: 'POST', body: '{}' }, { kind: 'callback' });
+  assert.equal(response.status, 200);
+  assert.equal(await response.text(), 'ok');
+});
+
+test('server-side fetches of crawled sites use the upstream proxy', async () => {
+  const { config } = await import('../config.js');
+  config.urlPolicy.allowPrivateNetworks = true;
+  try {
+    await assert.rejects(policy.policyFetch(`http://localhost:${port}/robots.txt`, {}, { kind: 'target' }), /ECONNREFUSED/);
+  } finally {
+    config.urlPolicy.allowPrivateNetworks = false;
+  }
+});
+
+test('callbacks to other hosts use the upstream proxy', async () => {
+  const { config } = await import('../config.js');
+  config.urlPolicy.allowPrivateNetworks = true;
+  try {
+    await assert.rejects(policy.policyFetch(`http://127.0.0.1:${port}/hook`, { method: 'POST', body: '{}' }, { kind: 'callback' }), /ECONNREFUSED/);
+  } finally {
+    config.urlPolicy.allowPrivateNetworks = false;
+  }
+});
+
+test('isBlockedAddress decodes IPv4 addresses embedded in hex IPv6 forms', () => {
+  const { isBlockedAddress } = policy;
+  for (const address of ['::ffff:7f00:1', '::ffff:a00:1', '64:ff9b::7f00:1', '64:ff9b::a9fe:a9fe', '::7f00:1', '::c0a8:101', '::ffff:0:7f00:1', '2002:7f00:1::1', '0:0:0:0:0:ffff:7f00:1', '::ffff:127.0.0.1', '64:ff9b::10.0.0.1']) {
+    assert.equal(isBlockedAddress(address), true, address);
+  }
+  for (const address of ['::ffff:808:808', '64:ff9b::808:808', '::808:808', '2002:808:808::1', '2606:4700:4700::1111']) {
+    assert.equal(isBlockedAddress(address), false, address);
+  }
+});
+
+test('IPv6 literals embedding a private IPv4 address are refused', async () => {
+  for (const url of ['http://[64:ff9b::127.0.0.1]/', 'http://[::ffff:127.0.0.1]/', 'http://[::127.0.0.1]/', 'http://[64:ff9b::7f00:1]/']) {
+    await assert.rejects(policy.assertUrlAllowed(url, { kind: 'target' }), /non-public address/, url);
+  }
+});
@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildSignatureHeaders, verifyWebhookSignature, SIGNATURE_HEADER, TIMESTAMP_HEADER } from '../webhook-signature.js';
+
+const body = '{"title":"Hello"}';
+const now = Date.UTC(2025, 0, 15, 12);
+
+const received = (deliveryId, options = {}) => {
+  const headers = buildSignatureHeaders(body, 'delivery-1', ['secret'], now);
+  return verifyWebhookSignature({
+    body,
+    signature: headers[SIGNATURE_HEADER],
+    timestamp: headers[TIMESTAMP_HEADER],
+    deliveryId,
+    secrets: 'secret',
+    now,
+    ...options
+  });
+};
+
+test('the delivery id is part of the signature', () => {
+  assert.deepEqual(received('delivery-1'), { valid: true, reason: null });
+  assert.deepEqual(received('delivery-2'), { valid: false, reason: 'no matching signature' });
+  assert.equal(received(undefined).valid, false);
+});
+
+test('deliveries reported as seen are rejected', () => {
+  const seen = new Set(['delivery-1']);
+  assert.deepEqual(received('delivery-1', { isSeen: id => seen.has(id) }), { valid: false, reason: 'delivery already processed' });
+  assert.equal(received('delivery-1', { isSeen: () => false }).valid, true);
+});
@@ -0,0 +1,314 @@
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import fetch from 'node-fetch';
+import { config } from './config.js';
+import { createError } from './errors.js';
+import { fetchProxyAgent } from './proxy.js';
+
+// Logging utilities that respect config settings and include timestamps
+const debugLog = (...args) => {
+  if (config.logging.debug) {
+    console.log(`[${new Date().toISOString()}]`, ...args);
+  }
+};
+
+/**
+ * URL Policy - decides which URLs the browser and the callback sender may contact.
+ *
+ * Only http/https are allowed, domains are checked against configurable allow/deny
+ * lists, and hostnames are resolved so private, loopback, link-local and other
+ * non-public addresses are refused. Three kinds of URL are checked:
+ *   - 'target'     crawl URLs submitted by clients (allow list applies)
+ *   - 'subrequest' everything the rendered page loads, including redirects
+ *   - 'callback'   webhook URLs (hosts in callbackTrustedHosts skip the address check
+ *                  and the upstream proxy)
+ */
+
+// Address ranges that must never be reached from the crawler
+const blockedAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24],
+  ['192.88.99.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['198.51.100.0', 24],
+  ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['100::', 64], ['2001:db8::', 32],
+  ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv6'));
+
+// Subrequest schemes that never touch the network
+const LOCAL_SUBREQUEST_PROTOCOLS = ['data:', 'blob:'];
+
+// Resolved hostnames, shared by all checks for a short while (ordered by last use)
+const dnsCache = new Map();
+
+// Upper bound for cached hostnames; the least recently used go first beyond it
+const MAX_DNS_CACHE_ENTRIES = 10000;
+
+const pruneDnsCache = () => {
+  const now = Date.now();
+  for (const [hostname, cached] of dnsCache) {
+    if (cached.expires <= now) {
+      dnsCache.delete(hostname);
+    }
+  }
+};
+
+setInterval(pruneDnsCache, 60 * 1000).unref();
+
+// The eight 16-bit groups of a valid IPv6 address (zone index dropped, a trailing
+// dotted IPv4 part converted)
+const ipv6Groups = (address) => {
+  let text = address.split('%')[0].toLowerCase();
+  const dotted = text.match(/(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+  if (dotted) {
+    const [a, b, c, d] = dotted.slice(1).map(Number);
+    text = `${text.slice(0, dotted.index)}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+  const [head, tail] = text.split('::');
+  const parse = (part) => part ? part.split(':').map(group => parseInt(group, 16)) : [];
+  const headGroups = parse(head);
+  const tailGroups = parse(tail);
+  const zeros = tail === undefined ? [] : new Array(8 - headGroups.length - tailGroups.length).fill(0);
+  return [...headGroups, ...zeros, ...tailGroups];
+};
+
+const ipv4FromGroups = (high, low) => `${high >> 8}.${high & 255}.${low >> 8}.${low & 255}`;
+
+// IPv4 address embedded in an IPv6 address that reaches it: IPv4-mapped (::ffff:0:0/96),
+// IPv4-translated (::ffff:0:0:0/96), IPv4-compatible (::/96), NAT64 (64:ff9b::/96) and
+// 6to4 (2002::/16). new URL and DNS
+// give these in hex (::ffff:7f00:1), so the groups are compared, not the text.
+const embeddedIpv4 = (address) => {
+  const groups = ipv6Groups(address);
+  const zeroUntil = (end) => groups.slice(0, end).every(group => group === 0);
+  if ((zeroUntil(5) && groups[5] === 0xffff) || zeroUntil(6) ||
+      (zeroUntil(4) && groups[4] === 0xffff && groups[5] === 0) ||
+      (groups[0] === 0x64 && groups[1] === 0xff9b && groups.slice(2, 6).every(group => group === 0))) {
+    return ipv4FromGroups(groups[6], groups[7]);
+  }
+  if (groups[0] === 0x2002) {
+    return ipv4FromGroups(groups[1], groups[2]);
+  }
+  return null;
+};
+
+/**
+ * Whether an IP address belongs to a private, loopback, link-local or reserved range
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+export function isBlockedAddress(address) {
+  const family = net.isIP(address);
+  if (family === 4) {
+    return blockedAddresses.check(address, 'ipv4');
+  }
+  if (family === 6) {
+    const embedded = embeddedIpv4(address);
+    if (embedded) {
+      return blockedAddresses.check(embedded, 'ipv4');
+    }
+    return blockedAddresses.check(address, 'ipv6');
+  }
+  return true;
+}
+
+/**
+ * Match a hostname against a domain pattern. "example.com" matches the domain and its
+ * subdomains, "*.example.com" only subdomains.
+ * @param {string} hostname - Lowercase hostname
+ * @param {string} pattern - Domain pattern
+ * @returns {boolean}
+ */
+export function matchesDomain(hostname, pattern) {
+  const normalized = pattern.toLowerCase().replace(/\.$/, '');
+  if (normalized.startsWith('*.')) {
+    return hostname.endsWith(normalized.slice(1));
+  }
+  return hostname === normalized || hostname.endsWith(`.${normalized}`);
+}
+
+// Callback hosts in callbackTrustedHosts skip the address check and the upstream proxy
+const isTrustedCallback = (kind, hostname) =>
+  kind === 'callback' && config.urlPolicy.callbackTrustedHosts.some(pattern => matchesDomain(hostname, pattern));
+
+const resolveHost = async (hostname) => {
+  const cached = dnsCache.get(hostname);
+  dnsCache.delete(hostname);
+  if (cached && cached.expires > Date.now()) {
+    // Re-inserted so the map stays ordered by last use
+    dnsCache.set(hostname, cached);
+    return cached.addresses;
+  }
+
+  const results = await dns.promises.lookup(hostname, { all: true, verbatim: true });
+  const addresses = results.map(result => result.address);
+  dnsCache.set(hostname, { addresses, expires: Date.now() + config.urlPolicy.dnsCacheTtl });
+  if (dnsCache.size > MAX_DNS_CACHE_ENTRIES) {
+    dnsCache.delete(dnsCache.keys().next().value);
+  }
+  return addresses;
+};
+
+const deny = (message) => createError('URL_NOT_ALLOWED', message, { statusCode: 400 });
+
+/**
+ * Check a URL against the policy
+ * @param {string} url - Absolute URL
+ * @param {Object} options
+ * @param {string} options.kind - 'target' | 'subrequest' | 'callback'
+ * @throws {Error} URL_NOT_ALLOWED describing why the URL was refused
+ */
+export async function assertUrlAllowed(url, { kind = 'target' } = {}) {
+  const policy = config.urlPolicy;
+
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    throw deny(`Invalid URL: ${url}`);
+  }
+
+  if (kind === 'subrequest' && LOCAL_SUBREQUEST_PROTOCOLS.includes(parsed.protocol)) {
+    return;
+  }
+  if (!policy.allowedProtocols.includes(parsed.protocol)) {
+    throw deny(`Protocol ${parsed.protocol} is not allowed`);
+  }
+
+  // URL keeps brackets around IPv6 literals
+  const hostname = parsed.hostname.toLowerCase().replace(/^\[|\]$/g, '').replace(/\.$/, '');
+
+  if (policy.denyDomains.some(pattern => matchesDomain(hostname, pattern))) {
+    throw deny(`Domain ${hostname} is on the deny list`);
+  }
+  if (kind === 'target' && policy.allowDomains.length > 0 &&
+      !policy.allowDomains.some(pattern => matchesDomain(hostname, pattern))) {
+    throw deny(`Domain ${hostname} is not on the allow list`);
+  }
+
+  if (policy.allowPrivateNetworks) {
+    return;
+  }
+  if (isTrustedCallback(kind, hostname)) {
+    return;
+  }
+
+  let addresses;
+  if (net.isIP(hostname)) {
+    addresses = [hostname];
+  } else {
+    try {
+      addresses = await resolveHost(hostname);
+    } catch (error) {
+      throw deny(`Could not resolve ${hostname}: ${error.code || error.message}`);
+    }
+  }
+
+  const blocked = addresses.find(isBlockedAddress);
+  if (blocked) {
+    throw deny(`${hostname} resolves to non-public address ${blocked}`);
+  }
+}
+
+/**
+ * Boolean variant of assertUrlAllowed that logs the reason for refusals
+ * @param {string} url - Absolute URL
+ * @param {Object} options - Same as assertUrlAllowed
+ * @returns {Promise<boolean>}
+ */
+export async function isUrlAllowed(url, options) {
+  try {
+    await assertUrlAllowed(url, options);
+    return true;
+  } catch (error) {
+    debugLog(`URL policy blocked ${url}: ${error.message}`);
+    return false;
+  }
+}
+
+// dns.lookup replacement that refuses non-public addresses at connect time,
+// so a hostname cannot re-resolve to a private address after it was checked
+const guardedLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, results) => {
+    if (error) {
+      callback(error);
+      return;
+    }
+    const blocked = results.find(result => isBlockedAddress(result.address));
+    if (blocked) {
+      callback(deny(`${hostname} resolves to non-public address ${blocked.address}`));
+      return;
+    }
+    if (options.all) {
+      callback(null, results);
+    } else {
+      callback(null, results[0].address, results[0].family);
+    }
+  });
+};
+
+const guardedAgents = {
+  'http:': new http.Agent({ keepAlive: true, lookup: guardedLookup }),
+  'https:': new https.Agent({ keepAlive: true, lookup: guardedLookup })
+};
+const plainAgents = {
+  'http:': new http.Agent({ keepAlive: true }),
+  'https:': new https.Agent({ keepAlive: true })
+};
+
+// Agent enforcing the address check on every connection unless the host is exempt
+const agentFor = (kind) => (parsedUrl) => {
+  const hostname = parsedUrl.hostname.toLowerCase();
+  const trusted = config.urlPolicy.allowPrivateNetworks || isTrustedCallback(kind, hostname);
+  return (trusted ? plainAgents : guardedAgents)[parsedUrl.protocol];
+};
+
+/**
+ * fetch() that applies the URL policy to the URL and to every redirect hop
+ * @param {string} url - Absolute URL
+ * @param {Object} init - node-fetch options (redirect and agent are managed here)
+ * @param {Object} options
+ * @param {string} options.kind - Policy kind of the first URL ('target' or 'callback')
+ * @returns {Promise<Response>} Final (non-redirect) response
+ */
+export async function policyFetch(url, init = {}, { kind = 'target' } = {}) {
+  let target = url;
+  let requestInit = init;
+
+  for (let redirects = 0; ; redirects++) {
+    // Redirects away from a crawl target are treated like page subrequests
+    await assertUrlAllowed(target, { kind: redirects === 0 || kind === 'callback' ? kind : 'subrequest' });
+
+    // Trusted callback hosts are internal and reached directly. Through a proxy the
+    // address check above is the only one; the proxy connects.
+    const proxyAgent = isTrustedCallback(kind, new URL(target).hostname.toLowerCase()) ? null : fetchProxyAgent(target);
+    const response = await fetch(target, {
+      ...requestInit,
+      redirect: 'manual',
+      agent: proxyAgent || agentFor(kind)
+    });
+
+    const location = response.headers.get('location');
+    if (response.status < 300 || response.status >= 400 || !location) {
+      return response;
+    }
+
+    // Drain the redirect body so the connection can be reused
+    await response.arrayBuffer().catch(() => {});
+    if (redirects >= config.urlPolicy.maxRedirects) {
+      throw createError('TOO_MANY_REDIRECTS', `Exceeded ${config.urlPolicy.maxRedirects} redirects fetching ${url}`);
+    }
+
+    // 301/302/303 turn a POST into a body-less GET, 307/308 repeat the request as-is
+    if ([301, 302, 303].includes(response.status) && requestInit.method && requestInit.method !== 'GET') {
+      const { body, ...rest } = requestInit;
+      requestInit = { ...rest, method: 'GET' };
+    }
+    target = new URL(location, target).href;
+    debugLog(`Following redirect to ${target}`);
+  }
+}
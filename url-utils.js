@@ -0,0 +1,78 @@
+/**
+ * URL helpers shared by the crawlers - normalization for de-duplication and glob matching
+ */
+
+const DEFAULT_PORTS = { 'http:': '80', 'https:': '443' };
+
+/**
+ * Normalize a URL so equivalent spellings compare equal: lowercase scheme and host,
+ * no default port, no fragment, sorted query parameters and a non-empty path.
+ * @param {string} url - Absolute URL (or relative, with base)
+ * @param {string} base - Optional base URL for relative input
+ * @returns {string|null} Normalized URL, or null if it cannot be parsed
+ */
+export function normalizeUrl(url, base) {
+  let parsed;
+  try {
+    parsed = new URL(url, base);
+  } catch (error) {
+    return null;
+  }
+
+  parsed.hash = '';
+  if (DEFAULT_PORTS[parsed.protocol] === parsed.port) {
+    parsed.port = '';
+  }
+  parsed.searchParams.sort();
+  if (!parsed.pathname) {
+    parsed.pathname = '/';
+  }
+
+  // URL already lowercases scheme and host
+  return parsed.href;
+}
+
+/**
+ * Hostname without a leading "www." so www and bare domains count as the same site
+ * @param {string} url - Absolute URL
+ * @returns {string} Site hostname
+ */
+export function siteHost(url) {
+  return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+}
+
+/**
+ * Convert a glob to a RegExp: `**` matches anything, `*` anything except "/", `?` one character
+ * @param {string} pattern - Glob pattern
+ * @returns {RegExp} Anchored regular expression
+ */
+export function globToRegExp(pattern) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*' && pattern[i + 1] === '*') {
+      source += '.*';
+      i++;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '.';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Match a URL against a glob. Patterns starting with "/" are matched against the path
+ * (plus query string), all others against the full URL.
+ * @param {string} url - Absolute URL
+ * @param {string} pattern - Glob pattern
+ * @returns {boolean}
+ */
+export function matchesGlob(url, pattern) {
+  const parsed = new URL(url);
+  const subject = pattern.startsWith('/') ? `${parsed.pathname}${parsed.search}` : parsed.href;
+  return globToRegExp(pattern).test(subject);
+}
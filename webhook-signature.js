@@ -0,0 +1,115 @@
+import { createHmac, timingSafeEqual } from 'crypto';
+
+/**
+ * Webhook signatures - HMAC-SHA256 over `${deliveryId}.${timestamp}.${body}`
+ *
+ * Sent with every callback as:
+ *   X-Puppy-Delivery: <delivery id>             (identical across retries)
+ *   X-Puppy-Timestamp: <unix seconds>
+ *   X-Puppy-Signature: v1=<hex>[,v1=<hex>...]   (one entry per active secret)
+ *
+ * The delivery id is signed, so a captured request cannot be resent under a fresh id
+ * to get past a receiver's dedupe.
+ * Signing with every active secret allows rotation: add the new secret, update the
+ * receivers, then retire the old one. This module has no other dependencies so
+ * receivers can import it on its own (`brandspot-puppy/webhook-signature`).
+ */
+
+export const SIGNATURE_HEADER = 'X-Puppy-Signature';
+export const TIMESTAMP_HEADER = 'X-Puppy-Timestamp';
+export const DELIVERY_HEADER = 'X-Puppy-Delivery';
+
+const SIGNATURE_VERSION = 'v1';
+
+/**
+ * Compute the signature of a payload
+ * @param {string|Buffer} body - Raw request body exactly as sent
+ * @param {string} deliveryId - Value of the X-Puppy-Delivery header
+ * @param {number|string} timestamp - Unix timestamp in seconds
+ * @param {string} secret - Shared signing secret
+ * @returns {string} Hex encoded HMAC-SHA256
+ */
+export function computeSignature(body, deliveryId, timestamp, secret) {
+  return createHmac('sha256', secret)
+    .update(`${deliveryId}.${timestamp}.`)
+    .update(body)
+    .digest('hex');
+}
+
+/**
+ * Build the signature headers for an outgoing callback
+ * @param {string|Buffer} body - Raw request body
+ * @param {string} deliveryId - Delivery id sent as X-Puppy-Delivery
+ * @param {Array<string>} secrets - Active signing secrets
+ * @param {number} now - Current time in ms (defaults to Date.now())
+ * @returns {Object} Headers to add to the request (empty when no secrets are configured)
+ */
+export function buildSignatureHeaders(body, deliveryId, secrets, now = Date.now()) {
+  if (!secrets || secrets.length === 0) {
+    return {};
+  }
+
+  const timestamp = Math.floor(now / 1000);
+  const signatures = secrets.map(secret => `${SIGNATURE_VERSION}=${computeSignature(body, deliveryId, timestamp, secret)}`);
+
+  return {
+    [SIGNATURE_HEADER]: signatures.join(','),
+    [TIMESTAMP_HEADER]: String(timestamp)
+  };
+}
+
+/**
+ * Verify a received callback
+ * @param {Object} options
+ * @param {string|Buffer} options.body - Raw request body (not re-serialized JSON)
+ * @param {string} options.signature - Value of the X-Puppy-Signature header
+ * @param {string} options.timestamp - Value of the X-Puppy-Timestamp header
+ * @param {string} options.deliveryId - Value of the X-Puppy-Delivery header
+ * @param {Array<string>|string} options.secrets - Secret(s) the receiver accepts
+ * @param {number} options.tolerance - Maximum age/skew of the timestamp in seconds (default 300)
+ * @param {number} options.now - Current time in ms (defaults to Date.now())
+ * @param {Function} options.isSeen - Optional (deliveryId) => boolean, true for ids the
+ *   receiver has already processed; such requests are rejected as replays. Retries reuse
+ *   the delivery id, so only remember ids once they were processed successfully, for at
+ *   least the tolerance.
+ * @returns {Object} { valid: boolean, reason: string|null }
+ */
+export function verifyWebhookSignature({ body, signature, timestamp, deliveryId, secrets, tolerance = 300, now = Date.now(), isSeen = null }) {
+  const secretList = Array.isArray(secrets) ? secrets : [secrets];
+
+  if (!signature || !timestamp || !deliveryId) {
+    return { valid: false, reason: 'missing signature, timestamp or delivery header' };
+  }
+  if (body === undefined || body === null) {
+    return { valid: false, reason: 'missing body' };
+  }
+
+  const timestampSeconds = Number(timestamp);
+  if (!Number.isInteger(timestampSeconds)) {
+    return { valid: false, reason: 'invalid timestamp' };
+  }
+
+  // Reject stale or future timestamps so captured requests cannot be replayed later
+  if (Math.abs(Math.floor(now / 1000) - timestampSeconds) > tolerance) {
+    return { valid: false, reason: 'timestamp outside tolerance' };
+  }
+
+  const received = String(signature)
+    .split(',')
+    .map(part => part.trim())
+    .filter(part => part.startsWith(`${SIGNATURE_VERSION}=`))
+    .map(part => Buffer.from(part.slice(SIGNATURE_VERSION.length + 1), 'hex'));
+
+  for (const secret of secretList.filter(Boolean)) {
+    const expected = Buffer.from(computeSignature(body, deliveryId, timestampSeconds, secret), 'hex');
+    if (received.some(candidate => candidate.length === expected.length && timingSafeEqual(candidate, expected))) {
+      // Only authentic requests reach the seen check, so forged ids cannot fill it
+      if (isSeen?.(String(deliveryId))) {
+        return { valid: false, reason: 'delivery already processed' };
+      }
+      return { valid: true, reason: null };
+    }
+  }
+
+  return { valid: false, reason: 'no matching signature' };
+}